@@ -0,0 +1,69 @@
+const { findKey, limitsFor, usageTracker } = require('../services/apiKeyService');
+
+// Keys are sent as "Authorization: Bearer <key>" or "X-API-Key: <key>"
+function extractKey(req) {
+  const authorization = req.get('authorization');
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return authorization.slice(7).trim();
+  }
+  return req.get('x-api-key') || null;
+}
+
+// Identify the caller and apply its rate limit and daily quota. Requests without a key
+// are served on the public tier, limited per IP; requests with an unknown key are refused.
+async function authenticate(req, res, next) {
+  try {
+    const key = extractKey(req);
+    let apiKey = null;
+    if (key) {
+      apiKey = await findKey(key);
+      if (!apiKey) {
+        return res.status(401).json({ message: 'Invalid or revoked API key' });
+      }
+    }
+
+    const clientId = apiKey ? `key:${apiKey._id}` : `ip:${req.ip}`;
+    const usage = await usageTracker.consume(clientId, apiKey ? apiKey._id : null, limitsFor(apiKey));
+
+    res.set({
+      'X-RateLimit-Limit': usage.limit,
+      'X-RateLimit-Remaining': usage.remaining,
+      'X-RateLimit-Reset': usage.resetAt,
+      'X-Quota-Limit': usage.quota,
+      'X-Quota-Remaining': usage.quotaRemaining
+    });
+
+    if (!usage.allowed) {
+      res.set('Retry-After', usage.retryAfter);
+      return res.status(429).json({ message: usage.reason, retryAfter: usage.retryAfter });
+    }
+
+    req.apiKey = apiKey;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+function requireApiKey(req, res, next) {
+  if (!req.apiKey) {
+    return res.status(401).json({ message: 'An API key is required' });
+  }
+  next();
+}
+
+function requireAdmin(req, res, next) {
+  if (!req.apiKey) {
+    return res.status(401).json({ message: 'An API key is required' });
+  }
+  if (!req.apiKey.admin) {
+    return res.status(403).json({ message: 'Admin API key required' });
+  }
+  next();
+}
+
+module.exports = {
+  authenticate,
+  requireApiKey,
+  requireAdmin
+};
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const { DEFAULT_CHAIN, CHAIN_IDS } = require('../services/chains');
+
+const ALERT_TYPES = ['price_above', 'price_below', 'market_cap_above', 'market_cap_below', 'price_change', 'large_trade'];
+
+const AlertSchema = new mongoose.Schema({
+  chain: {
+    type: String,
+    required: true,
+    default: DEFAULT_CHAIN,
+    lowercase: true,
+    enum: CHAIN_IDS
+  },
+  contractAddress: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  name: {
+    type: String,
+    default: null
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ALERT_TYPES
+  },
+  threshold: {
+    type: Number,
+    required: true,
+    description: "USD price or market cap, percent move for price_change, USD size for large_trade"
+  },
+  window: {
+    type: String,
+    enum: ['5m', '1h', '6h', '24h', '7d', null],
+    default: null,
+    description: "Window of a price_change alert"
+  },
+  direction: {
+    type: String,
+    enum: ['up', 'down', 'any'],
+    default: 'any',
+    description: "Which moves a price_change alert fires on"
+  },
+  webhook_url: {
+    type: String,
+    required: true
+  },
+  secret: {
+    type: String,
+    required: true,
+    description: "HMAC-SHA256 key used to sign each delivery"
+  },
+  cooldown_seconds: {
+    type: Number,
+    default: 3600,
+    min: 0,
+    description: "Minimum time between two deliveries of the alert"
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  condition_met: {
+    type: Boolean,
+    default: false,
+    description: "Whether the threshold condition held at the last evaluation; alerts fire on the transition"
+  },
+  last_triggered_at: {
+    type: Date,
+    default: null
+  },
+  trigger_count: {
+    type: Number,
+    default: 0
+  },
+  api_key: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    default: null,
+    description: "Key that created the alert; only it (or an admin key) can see and change it"
+  }
+}, { timestamps: true });
+
+AlertSchema.index({ active: 1, chain: 1, contractAddress: 1 });
+AlertSchema.index({ api_key: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Alert', AlertSchema);
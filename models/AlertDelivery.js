@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Delivery logs are kept for a month
+const DELIVERY_RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+const AlertDeliverySchema = new mongoose.Schema({
+  alert: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alert',
+    required: true
+  },
+  webhook_url: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'delivered', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  next_attempt_at: {
+    type: Date,
+    default: Date.now
+  },
+  last_status_code: {
+    type: Number,
+    default: null
+  },
+  last_error: {
+    type: String,
+    default: null
+  },
+  delivered_at: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+AlertDeliverySchema.index({ status: 1, next_attempt_at: 1 });
+AlertDeliverySchema.index({ alert: 1, createdAt: -1 });
+AlertDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: DELIVERY_RETENTION_SECONDS });
+
+module.exports = mongoose.model('AlertDelivery', AlertDeliverySchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const ApiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  key_hash: {
+    type: String,
+    required: true,
+    unique: true,
+    description: "SHA-256 of the key; the key itself is only shown when it is created"
+  },
+  key_prefix: {
+    type: String,
+    required: true,
+    description: "First characters of the key, to tell keys apart in listings"
+  },
+  tier: {
+    type: String,
+    enum: ['standard', 'premium'],
+    default: 'standard'
+  },
+  requests_per_minute: {
+    type: Number,
+    default: null,
+    description: "Overrides the tier's rate limit"
+  },
+  daily_quota: {
+    type: Number,
+    default: null,
+    description: "Overrides the tier's daily request quota"
+  },
+  admin: {
+    type: Boolean,
+    default: false,
+    description: "May manage keys and read usage on the admin routes"
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  requests_total: {
+    type: Number,
+    default: 0
+  },
+  rejected_total: {
+    type: Number,
+    default: 0,
+    description: "Requests refused by the rate limit or quota"
+  },
+  last_used_at: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('ApiKey', ApiKeySchema);
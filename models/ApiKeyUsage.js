@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Usage days are kept for three months
+const USAGE_RETENTION_SECONDS = 90 * 24 * 60 * 60;
+
+const ApiKeyUsageSchema = new mongoose.Schema({
+  api_key: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    required: true
+  },
+  day: {
+    type: Date,
+    required: true,
+    description: "UTC midnight of the day counted"
+  },
+  requests: {
+    type: Number,
+    default: 0
+  },
+  rejected: {
+    type: Number,
+    default: 0
+  }
+});
+
+ApiKeyUsageSchema.index({ api_key: 1, day: -1 }, { unique: true });
+ApiKeyUsageSchema.index({ day: 1 }, { expireAfterSeconds: USAGE_RETENTION_SECONDS });
+
+module.exports = mongoose.model('ApiKeyUsage', ApiKeyUsageSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const { DEFAULT_CHAIN, CHAIN_IDS } = require('../services/chains');
+
+const CandleSchema = new mongoose.Schema({
+  chain: {
+    type: String,
+    required: true,
+    default: DEFAULT_CHAIN,
+    lowercase: true,
+    enum: CHAIN_IDS
+  },
+  contractAddress: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  resolution: {
+    type: String,
+    required: true,
+    enum: ['1m', '5m', '1h', '1d']
+  },
+  time: {
+    type: Date,
+    required: true,
+    description: "Start of the candle bucket"
+  },
+  open: Number,
+  high: Number,
+  low: Number,
+  close: Number,
+  volume_usd: {
+    type: Number,
+    default: 0
+  },
+  trades: {
+    type: Number,
+    default: 0
+  },
+  // Ordering keys of the swaps that set open and close, so late swaps land in the right place
+  open_seq: Number,
+  close_seq: Number
+}, { timestamps: true });
+
+// One candle per token, resolution and bucket
+CandleSchema.index({ chain: 1, contractAddress: 1, resolution: 1, time: 1 }, { unique: true });
+
+module.exports = mongoose.model('Candle', CandleSchema);
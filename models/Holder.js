@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+const { DEFAULT_CHAIN, CHAIN_IDS } = require('../services/chains');
+
+const HolderSchema = new mongoose.Schema({
+  chain: {
+    type: String,
+    required: true,
+    default: DEFAULT_CHAIN,
+    lowercase: true,
+    enum: CHAIN_IDS
+  },
+  tokenAddress: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  address: {
+    type: String,
+    required: true,
+    lowercase: true,
+    description: "Holder wallet or contract"
+  },
+  balance: {
+    type: String,
+    required: true,
+    description: "Raw token balance summed from indexed Transfer events, a base-10 integer zero-padded to 78 digits so it sorts as a number"
+  },
+  last_block: {
+    type: Number,
+    default: 0,
+    description: "Block of the last indexed transfer touching this holder"
+  }
+}, { timestamps: true });
+
+HolderSchema.index({ chain: 1, tokenAddress: 1, address: 1 }, { unique: true });
+HolderSchema.index({ chain: 1, tokenAddress: 1, balance: -1 });
+
+module.exports = mongoose.model('Holder', HolderSchema);
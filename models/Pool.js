@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const { DEFAULT_CHAIN, CHAIN_IDS } = require('../services/chains');
+
+const PoolSchema = new mongoose.Schema({
+  chain: {
+    type: String,
+    required: true,
+    default: DEFAULT_CHAIN,
+    lowercase: true,
+    enum: CHAIN_IDS
+  },
+  // Pool contract address, or the bytes32 pool id for Uniswap V4 pools
+  address: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  tokenAddress: {
+    type: String,
+    required: true,
+    lowercase: true,
+    description: "Tracked token this pool prices"
+  },
+  quoteAddress: {
+    type: String,
+    required: true,
+    lowercase: true,
+    description: "Asset the token is quoted against in this pool"
+  },
+  dex: {
+    type: String,
+    required: true,
+    enum: ['uniswap-v2', 'uniswap-v3', 'uniswap-v4', 'aerodrome', 'velodrome']
+  },
+  token0: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  token1: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  fee: {
+    type: Number,
+    default: null
+  },
+  tickSpacing: {
+    type: Number,
+    default: null
+  },
+  stable: {
+    type: Boolean,
+    default: false
+  },
+  hooks: {
+    type: String,
+    default: null
+  },
+  quote_reserve: {
+    type: String,
+    default: '0',
+    description: "Raw quote-asset depth (reserves, or virtual reserves of in-range liquidity)"
+  },
+  quote_reserve_usd: {
+    type: Number,
+    default: 0
+  },
+  liquidity_usd: {
+    type: Number,
+    default: 0,
+    description: "USD value of both sides of the pool's reserves"
+  },
+  is_primary: {
+    type: Boolean,
+    default: false,
+    description: "Deepest pool, used for pricing the token"
+  },
+  last_checked: {
+    type: Date,
+    default: Date.now
+  },
+  last_indexed_block: {
+    type: Number,
+    default: 0,
+    description: "Last block whose Swap logs are fully stored for this token"
+  }
+}, { timestamps: true });
+
+PoolSchema.index({ chain: 1, tokenAddress: 1, address: 1 }, { unique: true });
+
+module.exports = mongoose.model('Pool', PoolSchema);
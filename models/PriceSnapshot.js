@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+const { DEFAULT_CHAIN, CHAIN_IDS } = require('../services/chains');
+
+// Snapshots only need to outlive the longest change window (7d)
+const SNAPSHOT_RETENTION_SECONDS = 8 * 24 * 60 * 60;
+
+const PriceSnapshotSchema = new mongoose.Schema({
+  chain: {
+    type: String,
+    required: true,
+    default: DEFAULT_CHAIN,
+    lowercase: true,
+    enum: CHAIN_IDS
+  },
+  contractAddress: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  price_usd: {
+    type: Number,
+    required: true
+  },
+  timestamp: {
+    type: Date,
+    required: true,
+    description: "Snapshot slot, rounded down to the minute"
+  }
+});
+
+PriceSnapshotSchema.index({ chain: 1, timestamp: -1, contractAddress: 1 });
+// One snapshot per token and slot, even when runs overlap
+PriceSnapshotSchema.index({ chain: 1, contractAddress: 1, timestamp: -1 }, { unique: true });
+PriceSnapshotSchema.index({ timestamp: 1 }, { expireAfterSeconds: SNAPSHOT_RETENTION_SECONDS });
+
+module.exports = mongoose.model('PriceSnapshot', PriceSnapshotSchema);
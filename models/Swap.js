@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const { DEFAULT_CHAIN, CHAIN_IDS } = require('../services/chains');
+
+const SwapSchema = new mongoose.Schema({
+  chain: {
+    type: String,
+    required: true,
+    default: DEFAULT_CHAIN,
+    lowercase: true,
+    enum: CHAIN_IDS
+  },
+  transactionHash: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  logIndex: {
+    type: Number,
+    required: true
+  },
+  blockNumber: {
+    type: Number,
+    required: true
+  },
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  tokenAddress: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  poolAddress: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  dex: {
+    type: String,
+    required: true
+  },
+  // Raw signed amounts from the pool's side, stored as strings to keep full precision
+  amount0: {
+    type: String,
+    required: true
+  },
+  amount1: {
+    type: String,
+    required: true
+  },
+  side: {
+    type: String,
+    enum: ['buy', 'sell'],
+    description: "Buy when the tracked token left the pool"
+  },
+  trader: {
+    type: String,
+    lowercase: true,
+    default: null,
+    description: "Swap recipient (the sender for Uniswap V4, whose event has no recipient)"
+  },
+  token_amount_raw: {
+    type: String,
+    default: '0',
+    description: "Absolute amount of the tracked token traded, in base units"
+  },
+  token_amount: {
+    type: Number,
+    default: 0
+  },
+  price_usd: {
+    type: Number,
+    default: 0
+  },
+  volume_usd: {
+    type: Number,
+    default: 0
+  }
+}, { timestamps: true });
+
+// A swap log is processed at most once per tracked token
+SwapSchema.index({ chain: 1, transactionHash: 1, logIndex: 1, tokenAddress: 1 }, { unique: true });
+SwapSchema.index({ chain: 1, tokenAddress: 1, blockNumber: -1, logIndex: -1 });
+SwapSchema.index({ chain: 1, tokenAddress: 1, timestamp: -1 });
+SwapSchema.index({ chain: 1, tokenAddress: 1, trader: 1, blockNumber: -1, logIndex: -1 });
+
+module.exports = mongoose.model('Swap', SwapSchema);
@@ -1,10 +1,22 @@
 const mongoose = require('mongoose');
+const { DEFAULT_CHAIN, CHAIN_IDS } = require('../services/chains');
+const fixedPoint = require('../services/fixedPoint');
+
+// A TWAP older than this no longer reflects the market and rankings fall back to spot
+const TWAP_MAX_AGE = (parseInt(process.env.TWAP_WINDOW_SECONDS) || 1800) * 2 * 1000;
 
 const TokenSchema = new mongoose.Schema({
+  chain: {
+    type: String,
+    required: true,
+    default: DEFAULT_CHAIN,
+    lowercase: true,
+    enum: CHAIN_IDS,
+    description: "Chain the contract lives on; tokens are keyed by chain plus address"
+  },
   contractAddress: { 
     type: String, 
     required: true, 
-    unique: true,
     lowercase: true,
     index: true
   },
@@ -26,7 +38,8 @@ const TokenSchema = new mongoose.Schema({
   },
   deployer: {
     type: String,
-    required: true
+    required: true,
+    lowercase: true
   },
   // Price tracking fields
   price_usd: {
@@ -35,20 +48,116 @@ const TokenSchema = new mongoose.Schema({
   },
   total_supply: {
     type: Number,
-    default: 0
+    default: 0,
+    description: "Raw total supply as a float, for sorting and display; total_supply_raw is exact"
+  },
+  total_supply_raw: {
+    type: String,
+    default: null,
+    description: "totalSupply() as read on-chain, a base-10 integer string in the token's smallest unit"
   },
   market_cap_usd: {
     type: Number,
     default: 0
   },
+  price_usd_twap: {
+    type: Number,
+    default: null,
+    description: "Time-weighted price from the primary pool's oracle observations"
+  },
+  price_twap_updated: {
+    type: Date,
+    default: null
+  },
+  market_cap_usd_twap: {
+    type: Number,
+    default: 0,
+    description: "Market cap at the TWAP price (spot when no fresh TWAP), used for rankings"
+  },
+  market_cap_usd_peak: {
+    type: Number,
+    default: 0,
+    description: "Highest market cap seen: the TWAP market cap at saves, raised to the daily candle high times supply"
+  },
+  market_cap_peak_at: {
+    type: Date,
+    default: null
+  },
   volume_usd_24h: {
     type: Number,
     default: 0
   },
+  volume_source: {
+    type: String,
+    enum: ['geckoterminal', 'dexscreener', 'coingecko', 'onchain', null],
+    default: null,
+    description: "Where volume_usd_24h comes from"
+  },
+  volume_usd_total: {
+    type: Number,
+    default: 0,
+    description: "Lifetime USD volume of the indexed swaps"
+  },
+  // Price change percentages against the price snapshot one window ago (null without history)
+  price_change_5m: { type: Number, default: null },
+  price_change_1h: { type: Number, default: null },
+  price_change_6h: { type: Number, default: null },
+  price_change_24h: {
+    type: Number,
+    default: null,
+    description: "From snapshots; a market data provider's figure fills in until 24h of snapshots exist"
+  },
+  price_change_7d: { type: Number, default: null },
+  price_changes_updated: {
+    type: Date,
+    default: null
+  },
+  liquidity_usd: {
+    type: Number,
+    default: 0,
+    description: "USD value of the reserves of every discovered pool, refreshed on Swap, Mint and Burn"
+  },
+  liquidity_updated: {
+    type: Date,
+    default: null
+  },
+  // Rolling on-chain trade stats, computed from indexed swaps
+  volume_usd_1h: {
+    type: Number,
+    default: 0
+  },
+  volume_usd_6h: {
+    type: Number,
+    default: 0
+  },
+  volume_usd_24h_onchain: {
+    type: Number,
+    default: 0
+  },
+  buys_1h: { type: Number, default: 0 },
+  sells_1h: { type: Number, default: 0 },
+  buys_6h: { type: Number, default: 0 },
+  sells_6h: { type: Number, default: 0 },
+  buys_24h: { type: Number, default: 0 },
+  sells_24h: { type: Number, default: 0 },
+  trade_stats_updated: {
+    type: Date,
+    default: null
+  },
   pool_address: {
     type: String,
     default: null
   },
+  pool_dex: {
+    type: String,
+    default: null,
+    description: "DEX of the primary pool used for on-chain pricing"
+  },
+  price_route: {
+    type: [String],
+    default: [],
+    description: "Assets the on-chain price was resolved through, token first and USD anchor last"
+  },
   last_updated: {
     type: Date,
     default: Date.now
@@ -64,19 +173,84 @@ const TokenSchema = new mongoose.Schema({
     default: 0,
     description: "Block number of the last trade for this token"
   },
+  // Holder stats, from indexed Transfer events
+  holder_count: {
+    type: Number,
+    default: 0
+  },
+  top10_holder_percentage: {
+    type: Number,
+    default: 0,
+    description: "Share of circulating (unburned) supply held by the ten largest holders, in percent"
+  },
+  holders_indexed_block: {
+    type: Number,
+    default: 0,
+    description: "Last block whose Transfer logs are applied to the holder balances"
+  },
+  holders_updated: {
+    type: Date,
+    default: null
+  },
+  last_trade_at: {
+    type: Date,
+    default: null,
+    description: "Time of the last trade, comparable across chains"
+  },
   last_batch_update: {
     type: Date,
     default: Date.now,
     description: "Timestamp of last batch service update"
+  },
+  market_data_sources: {
+    type: Map,
+    of: String,
+    default: {},
+    description: "Provider each batch-updated field was last taken from, e.g. { price_usd: 'dexscreener' }"
   }
   // Add any other token metadata fields you need
 }, { timestamps: true });
 
+// The same address can be deployed on several chains
+TokenSchema.index({ chain: 1, contractAddress: 1 }, { unique: true });
+TokenSchema.index({ chain: 1, createdAt: -1 });
+
+// Sort keys of the token list; _id breaks ties so cursors stay stable
+TokenSchema.index({ chain: 1, market_cap_usd_twap: -1, _id: -1 });
+TokenSchema.index({ chain: 1, volume_usd_24h: -1, _id: -1 });
+TokenSchema.index({ chain: 1, liquidity_usd: -1, _id: -1 });
+TokenSchema.index({ chain: 1, last_trade_at: -1, _id: -1 });
+TokenSchema.index({ deployer: 1, createdAt: -1 });
+
+// USD value of the whole supply at a price. The exact raw supply is used when it is known;
+// supplies that only came from a market data provider fall back to float math.
+function supplyValueUsd(token, priceUsd) {
+  const decimals = token.decimals ?? 18;
+  if (token.total_supply_raw) {
+    return fixedPoint.valueUsd(priceUsd || 0, token.total_supply_raw, decimals);
+  }
+  return (priceUsd || 0) * ((token.total_supply || 0) / Math.pow(10, decimals));
+}
+
+TokenSchema.statics.supplyValueUsd = supplyValueUsd;
+
 // Add a pre-save middleware to calculate market cap
 TokenSchema.pre('save', function(next) {
+  if (this.total_supply_raw) {
+    this.total_supply = Number(this.total_supply_raw);
+  }
+
   // Calculate market cap using price and supply
-  const adjustedSupply = this.total_supply / Math.pow(10, this.decimals);
-  this.market_cap_usd = this.price_usd * adjustedSupply;
+  this.market_cap_usd = supplyValueUsd(this, this.price_usd);
+
+  const twapIsFresh = this.price_usd_twap > 0 && this.price_twap_updated &&
+    Date.now() - this.price_twap_updated.getTime() < TWAP_MAX_AGE;
+  this.market_cap_usd_twap = supplyValueUsd(this, twapIsFresh ? this.price_usd_twap : this.price_usd);
+
+  if (this.market_cap_usd_twap > (this.market_cap_usd_peak || 0)) {
+    this.market_cap_usd_peak = this.market_cap_usd_twap;
+    this.market_cap_peak_at = new Date();
+  }
   next();
 });
 
@@ -0,0 +1,200 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const ApiKey = require('../models/ApiKey');
+const ApiKeyUsage = require('../models/ApiKeyUsage');
+const { requireAdmin } = require('../middleware/apiAuth');
+const { TIERS, createKey, clearKeyCache, limitsFor, usageTracker } = require('../services/apiKeyService');
+
+const KEY_TIERS = ApiKey.schema.path('tier').enumValues;
+
+router.use(requireAdmin);
+
+// Validate the settable fields of a key. Returns the fields, or { error }.
+function parseKey(body, creating) {
+  const fields = {};
+
+  if (body.name !== undefined || creating) {
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      return { error: 'name is required' };
+    }
+    fields.name = body.name.trim();
+  }
+  if (body.tier !== undefined) {
+    if (!KEY_TIERS.includes(body.tier)) {
+      return { error: `Invalid tier. Use one of: ${KEY_TIERS.join(', ')}` };
+    }
+    fields.tier = body.tier;
+  }
+  for (const field of ['requests_per_minute', 'daily_quota']) {
+    const value = body[field];
+    if (value === undefined) continue;
+    if (value !== null && (!Number.isInteger(value) || value <= 0)) {
+      return { error: `${field} must be a positive integer or null` };
+    }
+    fields[field] = value;
+  }
+  for (const field of creating ? ['admin'] : ['admin', 'active']) {
+    if (body[field] === undefined) continue;
+    if (typeof body[field] !== 'boolean') {
+      return { error: `${field} must be a boolean` };
+    }
+    fields[field] = body[field];
+  }
+
+  return { fields };
+}
+
+function toResponse(apiKey, today = null) {
+  const { key_hash, __v, ...rest } = apiKey.toObject ? apiKey.toObject() : apiKey;
+  return {
+    ...rest,
+    limits: limitsFor(apiKey),
+    ...(today !== null && { today })
+  };
+}
+
+async function findKeyById(req, res) {
+  const apiKey = mongoose.isValidObjectId(req.params.id) && await ApiKey.findById(req.params.id);
+  if (!apiKey) {
+    res.status(404).json({ message: 'API key not found' });
+    return null;
+  }
+  return apiKey;
+}
+
+function startOfToday() {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+}
+
+// All keys with their usage counters, including today's
+router.get('/keys', async (req, res) => {
+  try {
+    // Write out buffered counters so the totals are current
+    await usageTracker.flush();
+
+    const [keys, usage] = await Promise.all([
+      ApiKey.find().sort({ createdAt: -1 }).lean(),
+      ApiKeyUsage.find({ day: startOfToday() }).lean()
+    ]);
+    const usageByKey = new Map(usage.map(row => [String(row.api_key), row]));
+
+    res.json({
+      tiers: TIERS,
+      keys: keys.map(apiKey => {
+        const today = usageByKey.get(String(apiKey._id));
+        return toResponse(apiKey, {
+          requests: today ? today.requests : 0,
+          rejected: today ? today.rejected : 0
+        });
+      })
+    });
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    res.status(500).json({
+      message: 'Error fetching API keys',
+      error: error.message
+    });
+  }
+});
+
+// Issue a key. The response carries the key itself; only its hash is stored.
+router.post('/keys', async (req, res) => {
+  try {
+    const { fields, error } = parseKey(req.body || {}, true);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const { key, apiKey } = await createKey({
+      name: fields.name,
+      tier: fields.tier,
+      admin: fields.admin,
+      requestsPerMinute: fields.requests_per_minute,
+      dailyQuota: fields.daily_quota
+    });
+    res.status(201).json({ ...toResponse(apiKey), key });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({
+      message: 'Error creating API key',
+      error: error.message
+    });
+  }
+});
+
+// Change a key's name, tier, limits or admin flag, or revoke it with { active: false }
+router.put('/keys/:id', async (req, res) => {
+  try {
+    const apiKey = await findKeyById(req, res);
+    if (!apiKey) return;
+
+    const { fields, error } = parseKey(req.body || {}, false);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    apiKey.set(fields);
+    await apiKey.save();
+    clearKeyCache();
+
+    res.json(toResponse(apiKey));
+  } catch (error) {
+    console.error('Error updating API key:', error);
+    res.status(500).json({
+      message: 'Error updating API key',
+      error: error.message
+    });
+  }
+});
+
+// Revoke a key. It is kept, inactive, so its usage history stays readable.
+router.delete('/keys/:id', async (req, res) => {
+  try {
+    const apiKey = await findKeyById(req, res);
+    if (!apiKey) return;
+
+    apiKey.active = false;
+    await apiKey.save();
+    clearKeyCache();
+
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({
+      message: 'Error revoking API key',
+      error: error.message
+    });
+  }
+});
+
+// Daily usage of a key, newest day first
+router.get('/keys/:id/usage', async (req, res) => {
+  try {
+    const apiKey = await findKeyById(req, res);
+    if (!apiKey) return;
+
+    await usageTracker.flush();
+
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 90);
+    const since = new Date(startOfToday().getTime() - (days - 1) * 24 * 60 * 60 * 1000);
+    const usage = await ApiKeyUsage.find({ api_key: apiKey._id, day: { $gte: since } })
+      .sort({ day: -1 })
+      .select('day requests rejected -_id')
+      .lean();
+
+    res.json({
+      key: toResponse(apiKey),
+      usage
+    });
+  } catch (error) {
+    console.error('Error fetching API key usage:', error);
+    res.status(500).json({
+      message: 'Error fetching API key usage',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
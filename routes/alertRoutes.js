@@ -0,0 +1,228 @@
+const express = require('express');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { ethers } = require('ethers');
+const router = express.Router();
+const Alert = require('../models/Alert');
+const AlertDelivery = require('../models/AlertDelivery');
+const alertService = require('../services/alertService');
+const { webhookUrlError, checkWebhookUrl } = require('../services/webhookDelivery');
+const { DEFAULT_CHAIN, isEnabled, resolveChain } = require('../services/chains');
+const { requireApiKey } = require('../middleware/apiAuth');
+
+const ALERT_TYPES = Alert.schema.path('type').enumValues;
+const WINDOWS = Alert.schema.path('window').enumValues.filter(Boolean);
+const DIRECTIONS = Alert.schema.path('direction').enumValues;
+
+// Alerts belong to the key that created them; admin keys see every alert
+router.use(requireApiKey);
+
+function ownerFilter(req) {
+  return req.apiKey.admin ? {} : { api_key: req.apiKey._id };
+}
+
+// Fields a client may set; the secret is generated here and only returned on creation
+const EDITABLE_FIELDS = ['name', 'type', 'threshold', 'window', 'direction', 'webhook_url', 'cooldown_seconds', 'active'];
+
+// Validate an alert body. Returns the fields to write, or { error }.
+// `existing` is the stored alert on updates, so partial bodies are checked as a whole.
+function parseAlert(body, existing = null) {
+  const fields = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) fields[field] = body[field];
+  }
+
+  if (!existing) {
+    const chain = resolveChain(body.chain ?? DEFAULT_CHAIN);
+    if (!chain || !isEnabled(chain)) {
+      return { error: 'Unsupported chain' };
+    }
+    if (!body.contractAddress || !ethers.isAddress(body.contractAddress)) {
+      return { error: 'Invalid contract address' };
+    }
+    fields.chain = chain;
+    fields.contractAddress = body.contractAddress.toLowerCase();
+  }
+
+  const alert = { ...(existing || {}), ...fields };
+
+  if (!ALERT_TYPES.includes(alert.type)) {
+    return { error: `Invalid type. Use one of: ${ALERT_TYPES.join(', ')}` };
+  }
+  if (typeof alert.threshold !== 'number' || !Number.isFinite(alert.threshold) || alert.threshold <= 0) {
+    return { error: 'threshold must be a positive number' };
+  }
+  if (alert.type === 'price_change') {
+    if (!WINDOWS.includes(alert.window)) {
+      return { error: `price_change alerts need a window: ${WINDOWS.join(', ')}` };
+    }
+    if (alert.direction !== undefined && !DIRECTIONS.includes(alert.direction)) {
+      return { error: `Invalid direction. Use one of: ${DIRECTIONS.join(', ')}` };
+    }
+  }
+  if (alert.cooldown_seconds !== undefined &&
+    (typeof alert.cooldown_seconds !== 'number' || alert.cooldown_seconds < 0)) {
+    return { error: 'cooldown_seconds must be a non-negative number' };
+  }
+
+  const urlError = webhookUrlError(alert.webhook_url);
+  if (urlError) {
+    return { error: urlError };
+  }
+
+  // A changed condition starts unarmed again
+  if (existing && ['type', 'threshold', 'window', 'direction'].some(field => fields[field] !== undefined)) {
+    fields.condition_met = false;
+  }
+
+  return { fields };
+}
+
+function toResponse(alert) {
+  const { secret, __v, ...rest } = alert.toObject ? alert.toObject() : alert;
+  return rest;
+}
+
+async function findAlert(req, res) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(404).json({ message: 'Alert not found' });
+    return null;
+  }
+  const alert = await Alert.findOne({ _id: req.params.id, ...ownerFilter(req) });
+  if (!alert) {
+    res.status(404).json({ message: 'Alert not found' });
+    return null;
+  }
+  return alert;
+}
+
+// List alerts, optionally for one token
+router.get('/', async (req, res) => {
+  try {
+    const query = ownerFilter(req);
+    if (req.query.contractAddress) {
+      query.contractAddress = req.query.contractAddress.toLowerCase();
+    }
+    if (req.query.chain) {
+      const chain = resolveChain(req.query.chain);
+      if (!chain || !isEnabled(chain)) {
+        return res.status(400).json({ message: 'Unsupported chain' });
+      }
+      query.chain = chain;
+    }
+
+    const alerts = await Alert.find(query).select('-secret').sort({ createdAt: -1 }).lean();
+    res.json({ alerts });
+  } catch (error) {
+    console.error('Error fetching alerts:', error);
+    res.status(500).json({
+      message: 'Error fetching alerts',
+      error: error.message
+    });
+  }
+});
+
+// Create an alert. The response carries the webhook signing secret; it is not shown again.
+router.post('/', async (req, res) => {
+  try {
+    const { fields, error } = parseAlert(req.body || {});
+    const urlError = error ? null : await checkWebhookUrl(fields.webhook_url);
+    if (error || urlError) {
+      return res.status(400).json({ message: error || urlError });
+    }
+
+    const secret = crypto.randomBytes(32).toString('hex');
+    const alert = await Alert.create({ ...fields, secret, api_key: req.apiKey._id });
+    await alertService.invalidate();
+
+    res.status(201).json({ ...toResponse(alert), secret });
+  } catch (error) {
+    console.error('Error creating alert:', error);
+    res.status(500).json({
+      message: 'Error creating alert',
+      error: error.message
+    });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const alert = await findAlert(req, res);
+    if (alert) {
+      res.json(toResponse(alert));
+    }
+  } catch (error) {
+    console.error('Error fetching alert:', error);
+    res.status(500).json({
+      message: 'Error fetching alert',
+      error: error.message
+    });
+  }
+});
+
+router.put('/:id', async (req, res) => {
+  try {
+    const alert = await findAlert(req, res);
+    if (!alert) return;
+
+    const { fields, error } = parseAlert(req.body || {}, alert.toObject());
+    const urlError = error || fields.webhook_url === undefined ? null : await checkWebhookUrl(fields.webhook_url);
+    if (error || urlError) {
+      return res.status(400).json({ message: error || urlError });
+    }
+
+    alert.set(fields);
+    await alert.save();
+    await alertService.invalidate();
+
+    res.json(toResponse(alert));
+  } catch (error) {
+    console.error('Error updating alert:', error);
+    res.status(500).json({
+      message: 'Error updating alert',
+      error: error.message
+    });
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    const alert = await findAlert(req, res);
+    if (!alert) return;
+
+    await alert.deleteOne();
+    await alertService.invalidate();
+
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting alert:', error);
+    res.status(500).json({
+      message: 'Error deleting alert',
+      error: error.message
+    });
+  }
+});
+
+// Delivery log of an alert, newest first
+router.get('/:id/deliveries', async (req, res) => {
+  try {
+    const alert = await findAlert(req, res);
+    if (!alert) return;
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const deliveries = await AlertDelivery.find({ alert: alert._id })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+
+    res.json({ alert: String(alert._id), deliveries });
+  } catch (error) {
+    console.error('Error fetching alert deliveries:', error);
+    res.status(500).json({
+      message: 'Error fetching alert deliveries',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
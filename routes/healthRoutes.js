@@ -0,0 +1,43 @@
+const express = require('express');
+const router = express.Router();
+const { getHealth } = require('../services/healthService');
+const { registry } = require('../services/metrics');
+
+// Full dependency report. 503 only when the service cannot serve at all (Mongo down);
+// a degraded tracker still answers 200 so liveness probes do not restart it.
+router.get('/health', async (req, res) => {
+  try {
+    const health = await getHealth();
+    res.status(health.status === 'down' ? 503 : 200).json(health);
+  } catch (error) {
+    console.error('Error checking health:', error);
+    res.status(503).json({ status: 'down', error: error.message });
+  }
+});
+
+// Readiness for load balancers: 503 until Mongo answers and every chain's socket is live
+router.get('/ready', async (req, res) => {
+  try {
+    const health = await getHealth();
+    res.status(health.ready ? 200 : 503).json({
+      ready: health.ready,
+      status: health.status,
+      checks: health.checks
+    });
+  } catch (error) {
+    console.error('Error checking readiness:', error);
+    res.status(503).json({ ready: false, error: error.message });
+  }
+});
+
+// Prometheus scrape endpoint
+router.get('/metrics', async (req, res) => {
+  try {
+    res.type(registry.contentType).send(await registry.metrics());
+  } catch (error) {
+    console.error('Error rendering metrics:', error);
+    res.status(500).send(`# Error rendering metrics: ${error.message}\n`);
+  }
+});
+
+module.exports = router;
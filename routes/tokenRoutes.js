@@ -1,55 +1,119 @@
 const express = require('express');
+const { ethers } = require('ethers');
 const router = express.Router();
 const Token = require('../models/Token');
-const TokenPrice = require('../models/TokenPrice');
 const tokenDataService = require('../services/tokenDataService');
+const candleService = require('../services/candleService');
+const poolDiscovery = require('../services/poolDiscovery');
+const tradeService = require('../services/tradeService');
+const tokenListService = require('../services/tokenListService');
+const deployerService = require('../services/deployerService');
+const holderService = require('../services/holderService');
+const responseCache = require('../services/responseCache');
+const { getHealth } = require('../services/healthService');
+const { RANKING_LIQUIDITY_MATCH } = require('../services/liquidityService');
+const { DEFAULT_CHAIN, getEnabledChains, isEnabled, resolveChain } = require('../services/chains');
 
-// Route to get global top tokens
-router.get('/global-top-tokens', async (req, res) => {
-  try {
-    const topTokens = await Token.aggregate([
-      {
-        $match: {
-          $and: [
-            { price_usd: { $exists: true } },
-            { price_usd: { $gt: 0 } },
-            { market_cap_usd: { $gt: 5000 } } // Ensure meaningful market cap
-          ]
-        }
-      },
-      {
-        $sort: { market_cap_usd: -1 }
-      },
-      {
-        $limit: 100
+// Every route takes an optional ?chain= (chain name or numeric chain id). Token routes
+// default to the default chain (Base); list routes cover every enabled chain when it is omitted.
+router.use((req, res, next) => {
+  req.chain = null;
+  if (req.query.chain === undefined) {
+    return next();
+  }
+
+  const chain = resolveChain(req.query.chain);
+  if (!chain || !isEnabled(chain)) {
+    return res.status(400).json({
+      message: `Unsupported chain. Use one of: ${getEnabledChains().join(', ')}`
+    });
+  }
+  req.chain = chain;
+  next();
+});
+
+// Chain filter for list routes
+function chainMatch(req) {
+  return req.chain ? { chain: req.chain } : { chain: { $in: getEnabledChains() } };
+}
+
+// Chains a list response covers, for cache invalidation
+function listChains(req) {
+  return req.chain ? [req.chain] : getEnabledChains();
+}
+
+// Accept unix seconds or any date string; null when absent, undefined when invalid
+function parseTime(value) {
+  if (value === undefined) return null;
+  const date = /^\d+$/.test(value) ? new Date(Number(value) * 1000) : new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+}
+
+// Null when absent, undefined when not a number
+function parseNumber(value) {
+  if (value === undefined || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+}
+
+// Top tokens by TWAP market cap, and the top volume token among them
+async function findGlobalTopTokens(req) {
+  const topTokens = await Token.aggregate([
+    {
+      $match: {
+        $and: [
+          chainMatch(req),
+          { price_usd: { $exists: true } },
+          { price_usd: { $gt: 0 } },
+          { market_cap_usd_twap: { $gt: 5000 } }, // Ensure meaningful market cap
+          RANKING_LIQUIDITY_MATCH // A market cap needs liquidity behind it
+        ]
       }
-    ]);
+    },
+    {
+      // Rank by TWAP market cap so a single manipulated swap cannot move the ranking
+      $sort: { market_cap_usd_twap: -1 }
+    },
+    {
+      $limit: 100
+    }
+  ]);
 
-    // Find top market cap token
-    const topMarketCapToken = topTokens[0];
+  // Find top market cap token
+  const topMarketCapToken = topTokens[0];
 
-    // Find top volume token
-    const topVolumeToken = topTokens.reduce((max, token) => 
-      (token.volume_usd_24h > (max.volume_usd_24h || 0) ? token : max), 
-      topTokens[0]
-    );
+  // Find top volume token
+  const topVolumeToken = topTokens.reduce((max, token) => 
+    (token.volume_usd_24h > (max.volume_usd_24h || 0) ? token : max), 
+    topTokens[0]
+  );
+
+  console.log('Top Market Cap Token:', topMarketCapToken?.symbol);
+  console.log('Top Volume Token:', topVolumeToken?.symbol);
 
-    console.log('Top Market Cap Token:', topMarketCapToken?.symbol);
-    console.log('Top Volume Token:', topVolumeToken?.symbol);
+  return {
+    topMarketCapToken,
+    topVolumeToken
+  };
+}
+
+// Route to get global top tokens
+router.get('/global-top-tokens', async (req, res) => {
+  try {
+    const cacheKey = responseCache.keyFor('global-top-tokens', req.query);
+    const entry = await responseCache.get(cacheKey, listChains(req), () => findGlobalTopTokens(req));
+    const { topMarketCapToken, topVolumeToken } = entry.payload;
 
     // Ensure we have active subscriptions for these tokens
     if (topMarketCapToken) {
-      tokenDataService.subscribeToToken(topMarketCapToken.contractAddress);
+      tokenDataService.subscribeToToken(topMarketCapToken.chain, topMarketCapToken.contractAddress);
     }
     
-    if (topVolumeToken && topVolumeToken.contractAddress !== topMarketCapToken?.contractAddress) {
-      tokenDataService.subscribeToToken(topVolumeToken.contractAddress);
+    if (topVolumeToken && topVolumeToken !== topMarketCapToken) {
+      tokenDataService.subscribeToToken(topVolumeToken.chain, topVolumeToken.contractAddress);
     }
 
-    res.json({
-      topMarketCapToken,
-      topVolumeToken
-    });
+    responseCache.send(req, res, entry);
   } catch (error) {
     console.error('Error fetching global top tokens:', error);
     res.status(500).json({
@@ -59,49 +123,79 @@ router.get('/global-top-tokens', async (req, res) => {
   }
 });
 
-// Fetch tokens with price data
+// Fetch tokens with price data. Filters: search (name or symbol), min/max Price,
+// MarketCap, Volume and Liquidity, createdAfter/createdBefore, deployer.
+// Pages by ?cursor= (stable) or ?page=; ?limit= sets the page size.
 router.get('/tokens', async (req, res) => {
   try {
-    const sortField = req.query.sort || 'marketCap';
-    const sortDirection = req.query.direction || 'desc';
-    const page = parseInt(req.query.page) || 1;
-    const limit = 15;
-    const skip = (page - 1) * limit;
-
-    const tokens = await Token.aggregate([
-      {
-        $match: {
-          $and: [
-            { price_usd: { $exists: true } },
-            { price_usd: { $gt: 0 } },
-            { market_cap_usd: { $gt: 5000 } }
-          ]
+    const sort = req.query.sort || 'marketCap';
+    const direction = req.query.direction || 'desc';
+    const sortSpec = tokenListService.SORT_FIELDS[sort];
+    if (!sortSpec) {
+      return res.status(400).json({
+        message: `Invalid sort. Use one of: ${Object.keys(tokenListService.SORT_FIELDS).join(', ')}`
+      });
+    }
+    if (direction !== 'asc' && direction !== 'desc') {
+      return res.status(400).json({ message: 'Invalid direction. Use asc or desc' });
+    }
+
+    const filters = {
+      search: req.query.search ? String(req.query.search).trim().slice(0, 64) : null,
+      createdAfter: parseTime(req.query.createdAfter),
+      createdBefore: parseTime(req.query.createdBefore),
+      deployer: req.query.deployer || null
+    };
+    for (const name of Object.keys(tokenListService.RANGE_FILTERS)) {
+      for (const bound of ['min', 'max']) {
+        const value = parseNumber(req.query[`${bound}${name}`]);
+        if (value === undefined) {
+          return res.status(400).json({ message: `Invalid ${bound}${name}` });
         }
-      },
-      {
-        $sort: sortField === 'volume' 
-          ? { 'volume_usd_24h': sortDirection === 'desc' ? -1 : 1 }
-          : { 'market_cap_usd': sortDirection === 'desc' ? -1 : 1 }
-      },
-      {
-        $limit: 240
+        filters[`${bound}${name}`] = value;
       }
-    ]);
+    }
+    if (filters.createdAfter === undefined || filters.createdBefore === undefined) {
+      return res.status(400).json({ message: 'Invalid creation date range' });
+    }
+    if (filters.deployer && !ethers.isAddress(filters.deployer)) {
+      return res.status(400).json({ message: 'Invalid deployer address' });
+    }
+
+    // Dust and illiquid tokens stay hidden unless the caller sets its own floors
+    if (filters.minMarketCap === null) {
+      filters.minMarketCap = 5000;
+    }
+    const match = filters.minLiquidity === null
+      ? { $and: [chainMatch(req), RANKING_LIQUIDITY_MATCH] }
+      : chainMatch(req);
+
+    let cursor = null;
+    if (req.query.cursor) {
+      cursor = tokenListService.decodeCursor(req.query.cursor, sortSpec);
+      if (!cursor) {
+        return res.status(400).json({ message: 'Invalid cursor' });
+      }
+    }
+
+    // Served from the response cache while no price on the listed chains has changed
+    const cacheKey = responseCache.keyFor('tokens', req.query);
+    const entry = await responseCache.get(cacheKey, listChains(req), () =>
+      tokenListService.listTokens(match, filters, {
+        sort,
+        direction,
+        limit: parseInt(req.query.limit) || tokenListService.DEFAULT_PAGE_SIZE,
+        page: parseInt(req.query.page) || 1,
+        cursor
+      })
+    );
 
-    // Get page of tokens to return
-    const tokensPage = tokens.slice(skip, skip + limit);
-    
     // Ensure we have active subscriptions for displayed tokens
-    for (const token of tokensPage) {
-      tokenDataService.subscribeToToken(token.contractAddress);
+    for (const token of entry.payload.tokens) {
+      tokenDataService.subscribeToToken(token.chain, token.contractAddress);
     }
 
-    res.json({
-      tokens: tokensPage,
-      totalTokens: tokens.length,
-      currentPage: page,
-      totalPages: Math.ceil(tokens.length / limit)
-    });
+    responseCache.send(req, res, entry);
   } catch (error) {
     console.error('Error fetching tokens:', error);
     res.status(500).json({
@@ -111,15 +205,66 @@ router.get('/tokens', async (req, res) => {
   }
 });
 
+// Token age as seconds, or a number with an m / h / d suffix ("90m", "24h", "7d")
+function parseAge(value) {
+  if (value === undefined) return null;
+  const match = /^(\d+(?:\.\d+)?)([smhd]?)$/.exec(value);
+  if (!match) return undefined;
+  const unit = { '': 1, s: 1, m: 60, h: 3600, d: 86400 }[match[2]];
+  return Number(match[1]) * unit * 1000;
+}
+
+// Route to list recent launches, newest first, optionally within an age range
+router.get('/new-pairs', async (req, res) => {
+  try {
+    const maxAge = parseAge(req.query.maxAge) ?? 24 * 60 * 60 * 1000;
+    const minAge = parseAge(req.query.minAge) ?? 0;
+    if (maxAge === undefined || minAge === undefined || minAge > maxAge) {
+      return res.status(400).json({ message: 'Invalid age range' });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+    const now = Date.now();
+
+    const tokens = await Token.find({
+      ...chainMatch(req),
+      createdAt: { $gte: new Date(now - maxAge), $lte: new Date(now - minAge) }
+    })
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit + 1)
+      .select('chain contractAddress name symbol decimals deployer createdAt blockNumber pool_address pool_dex price_usd market_cap_usd volume_usd_24h')
+      .lean();
+
+    res.json({
+      tokens: tokens.slice(0, limit).map(token => ({
+        ...token,
+        ageSeconds: Math.floor((now - token.createdAt.getTime()) / 1000)
+      })),
+      page,
+      pageSize: limit,
+      hasMore: tokens.length > limit
+    });
+  } catch (error) {
+    console.error('Error fetching new pairs:', error);
+    res.status(500).json({
+      message: 'Error fetching new pairs',
+      error: error.message
+    });
+  }
+});
+
 // Additional route for getting a specific token by contract address
 router.get('/tokens/:contractAddress', async (req, res) => {
   try {
     const contractAddress = req.params.contractAddress.toLowerCase();
+    const chain = req.chain || DEFAULT_CHAIN;
     
     // Ensure we have an active subscription for this token
-    tokenDataService.subscribeToToken(contractAddress);
+    tokenDataService.subscribeToToken(chain, contractAddress);
     
-    const token = await Token.findOne({ contractAddress });
+    const token = await Token.findOne({ chain, contractAddress });
     
     if (!token) {
       return res.status(404).json({ message: 'Token not found' });
@@ -135,23 +280,181 @@ router.get('/tokens/:contractAddress', async (req, res) => {
   }
 });
 
-// New route to get WebSocket subscription status
-router.get('/websocket-status', async (req, res) => {
+// Route to get OHLCV candles for a token
+router.get('/tokens/:contractAddress/candles', async (req, res) => {
   try {
-    // Get count of tokens with price data
-    const tokensWithPrice = await TokenPrice.countDocuments({
-      'price_usd': { $gt: 0 }
+    const contractAddress = req.params.contractAddress.toLowerCase();
+    const chain = req.chain || DEFAULT_CHAIN;
+    const resolution = req.query.resolution || '5m';
+
+    if (!candleService.RESOLUTIONS[resolution]) {
+      return res.status(400).json({
+        message: `Invalid resolution. Use one of: ${Object.keys(candleService.RESOLUTIONS).join(', ')}`
+      });
+    }
+
+    // Default to the last MAX_CANDLES buckets
+    const to = parseTime(req.query.to) ?? new Date();
+    const from = parseTime(req.query.from)
+      ?? new Date(to.getTime() - candleService.RESOLUTIONS[resolution] * candleService.MAX_CANDLES);
+
+    if (!from || !to || from > to) {
+      return res.status(400).json({ message: 'Invalid time range' });
+    }
+
+    const limit = parseInt(req.query.limit) || candleService.MAX_CANDLES;
+    const candles = await candleService.getCandles(chain, contractAddress, resolution, from, to, limit);
+
+    res.json({
+      chain,
+      contractAddress,
+      resolution,
+      from: Math.floor(from.getTime() / 1000),
+      to: Math.floor(to.getTime() / 1000),
+      candles
     });
-    
-    // Get count of all tokens
-    const allTokens = await Token.countDocuments({});
-    
+  } catch (error) {
+    console.error('Error fetching candles:', error);
+    res.status(500).json({
+      message: 'Error fetching candles',
+      error: error.message
+    });
+  }
+});
+
+// Route to get the latest trades for a token
+router.get('/tokens/:contractAddress/trades', async (req, res) => {
+  try {
+    const contractAddress = req.params.contractAddress.toLowerCase();
+    const chain = req.chain || DEFAULT_CHAIN;
+    const wallet = req.query.wallet;
+
+    if (wallet && !ethers.isAddress(wallet)) {
+      return res.status(400).json({ message: 'Invalid wallet address' });
+    }
+
+    const result = await tradeService.getTrades(chain, contractAddress, {
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 50,
+      minUsd: parseFloat(req.query.minUsd) || 0,
+      wallet
+    });
+
+    res.json({ chain, contractAddress, ...result });
+  } catch (error) {
+    console.error('Error fetching trades:', error);
+    res.status(500).json({
+      message: 'Error fetching trades',
+      error: error.message
+    });
+  }
+});
+
+// Route to list a token's largest holders, with pool, burn and deployer addresses labelled
+router.get('/tokens/:contractAddress/holders', async (req, res) => {
+  try {
+    const contractAddress = req.params.contractAddress.toLowerCase();
+    const chain = req.chain || DEFAULT_CHAIN;
+
+    const result = await holderService.getHolders(chain, contractAddress, {
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 50
+    });
+    if (!result) {
+      return res.status(404).json({ message: 'Token not found' });
+    }
+
+    // Holder balances are indexed for tracked tokens
+    tokenDataService.subscribeToToken(chain, contractAddress);
+
+    res.json({ chain, contractAddress, ...result });
+  } catch (error) {
+    console.error('Error fetching holders:', error);
+    res.status(500).json({
+      message: 'Error fetching holders',
+      error: error.message
+    });
+  }
+});
+
+// Route to list every known pool for a token, primary pool first
+router.get('/tokens/:contractAddress/pools', async (req, res) => {
+  try {
+    const contractAddress = req.params.contractAddress.toLowerCase();
+    const chain = req.chain || DEFAULT_CHAIN;
+    const pools = await poolDiscovery.getTokenPools(chain, contractAddress);
+
+    res.json({ chain, contractAddress, pools });
+  } catch (error) {
+    console.error('Error fetching pools:', error);
+    res.status(500).json({
+      message: 'Error fetching pools',
+      error: error.message
+    });
+  }
+});
+
+// Route to rank deployers: ?metric=tokens (most prolific), peakMarketCap or volume
+router.get('/deployers/leaderboard', async (req, res) => {
+  try {
+    const metric = req.query.metric || 'tokens';
+    if (!deployerService.LEADERBOARD_METRICS[metric]) {
+      return res.status(400).json({
+        message: `Invalid metric. Use one of: ${Object.keys(deployerService.LEADERBOARD_METRICS).join(', ')}`
+      });
+    }
+
+    const deployers = await deployerService.getLeaderboard(chainMatch(req), {
+      metric,
+      limit: parseInt(req.query.limit) || 25
+    });
+
+    res.json({ metric, deployers });
+  } catch (error) {
+    console.error('Error fetching deployer leaderboard:', error);
+    res.status(500).json({
+      message: 'Error fetching deployer leaderboard',
+      error: error.message
+    });
+  }
+});
+
+// Route to get every token a wallet deployed, with its launch history
+router.get('/deployers/:address', async (req, res) => {
+  try {
+    if (!ethers.isAddress(req.params.address)) {
+      return res.status(400).json({ message: 'Invalid deployer address' });
+    }
+
+    const profile = await deployerService.getDeployerProfile(chainMatch(req), req.params.address);
+    if (profile.tokens.length === 0) {
+      return res.status(404).json({ message: 'No tokens found for this deployer' });
+    }
+
+    res.json(profile);
+  } catch (error) {
+    console.error('Error fetching deployer:', error);
+    res.status(500).json({
+      message: 'Error fetching deployer',
+      error: error.message
+    });
+  }
+});
+
+// Live connection state per chain, from the same checks as /health, plus the tracked subscriptions
+router.get('/websocket-status', async (req, res) => {
+  try {
+    const chains = listChains(req);
+    const [health, totalTokens] = await Promise.all([
+      getHealth(chains),
+      Token.countDocuments(chainMatch(req))
+    ]);
+
     res.json({
-      status: 'active',
-      tokensWithPrice,
-      totalTokens: allTokens,
-      coverage: `${((tokensWithPrice / allTokens) * 100).toFixed(2)}%`,
-      message: 'WebSocket-based blockchain connection is active and monitoring Uniswap pools'
+      status: health.status,
+      totalTokens,
+      chains: health.checks.chains,
+      subscriptions: chains.map(chain => tokenDataService.getSubscriptionStatus(chain))
     });
   } catch (error) {
     console.error('Error getting WebSocket status:', error);
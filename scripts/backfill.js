@@ -0,0 +1,99 @@
+// scripts/backfill.js
+// Replays a token's swap history into the swaps and candles collections, and indexes its
+// holder balances up to the chain head (from the creation block on the first run).
+// Swaps are valued at the quote-asset USD prices of their own block, re-read every
+// BACKFILL_QUOTE_REFRESH_BLOCKS blocks (default 150) through an archive-capable RPC.
+// Usage: npm run backfill -- <contractAddress> [fromBlock] [--chain <chain>]
+const { ethers } = require('ethers');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Token = require('../models/Token');
+const poolDiscovery = require('../services/poolDiscovery');
+const SwapIndexer = require('../services/swapIndexer');
+const { HolderIndexer } = require('../services/holderIndexer');
+const tradeStatsService = require('../services/tradeStatsService');
+const { TokenPriceTracker } = require('../services/tokenDataService');
+const { ReplayProvider } = require('../services/replayProvider');
+const { DEFAULT_CHAIN, getChain, resolveChain } = require('../services/chains');
+
+const USAGE = 'Usage: npm run backfill -- <contractAddress> [fromBlock] [--chain <chain>]';
+
+const QUOTE_REFRESH_BLOCKS = parseInt(process.env.BACKFILL_QUOTE_REFRESH_BLOCKS) || 150;
+
+// A hook for SwapIndexer that re-prices the quote assets at a swap's block when the last
+// pricing is more than QUOTE_REFRESH_BLOCKS behind. Reads go through a provider pinned to
+// that block; tracked tokens used as quote assets keep their current price.
+function historicalQuotePricer(chain, provider) {
+  const pinned = new ReplayProvider({ chainId: chain.chainId }, { upstream: provider });
+  const pricer = new TokenPriceTracker({ chain: chain.id, provider: pinned, indexHolders: false });
+  let pricedAt = null;
+
+  const priceQuotesAt = async (blockNumber) => {
+    if (pricedAt !== null && blockNumber - pricedAt < QUOTE_REFRESH_BLOCKS) {
+      return;
+    }
+    pinned.setBlock(blockNumber);
+    // Only the current block's answers are needed again
+    pinned.responses.clear();
+    await pricer.loadQuoteAssetPrices();
+    pricedAt = blockNumber;
+  };
+  return { priceQuotesAt, destroy: () => pinned.destroy() };
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const chainFlag = args.indexOf('--chain');
+  const chainArg = chainFlag === -1 ? DEFAULT_CHAIN : args.splice(chainFlag, 2)[1];
+  const chainId = resolveChain(chainArg);
+
+  const [contractAddress, fromBlockArg] = args;
+  if (!chainId || !contractAddress || !ethers.isAddress(contractAddress)) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // getLogs over large ranges is better served by HTTP than by the WebSocket endpoint
+  const chain = getChain(chainId);
+  const provider = new ethers.JsonRpcProvider(chain.rpcUrl, chain.chainId, { staticNetwork: true });
+
+  const token = await Token.findOne({ chain: chainId, contractAddress: contractAddress.toLowerCase() });
+  if (!token) {
+    throw new Error(`Token not found on ${chainId}: ${contractAddress}`);
+  }
+
+  const pool = await poolDiscovery.getPrimaryPool(provider, chainId, token.contractAddress);
+  if (!pool) {
+    throw new Error(`No pool found for ${token.symbol}`);
+  }
+
+  const fromBlock = fromBlockArg ? parseInt(fromBlockArg) : token.blockNumber;
+  console.log(`Backfilling ${token.symbol} from block ${fromBlock} using ${pool.dex} pool ${pool.address}`);
+
+  const pricer = historicalQuotePricer(chain, provider);
+  let processed;
+  try {
+    const indexer = new SwapIndexer(provider, { priceQuotesAt: pricer.priceQuotesAt });
+    processed = await indexer.backfill(pool, token, fromBlock);
+  } finally {
+    pricer.destroy();
+  }
+  await tradeStatsService.updateTradeStats(chainId, token.contractAddress);
+  console.log(`Backfill complete: ${processed} new swaps stored for ${token.symbol}`);
+
+  const transfers = await new HolderIndexer(provider).sync(token);
+  console.log(`Holder index up to date: ${transfers} transfers applied for ${token.symbol}`);
+}
+
+main()
+  .catch(error => {
+    console.error('Backfill failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await mongoose.disconnect();
+    process.exit();
+  });
@@ -0,0 +1,48 @@
+// scripts/create-api-key.js
+// Issues an API key from the command line, e.g. the first admin key, which can then manage
+// the others through /api/admin/keys. The key is printed once; only its hash is stored.
+// Usage: npm run apikey:create -- <name> [--tier standard|premium] [--admin]
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const ApiKey = require('../models/ApiKey');
+const { createKey } = require('../services/apiKeyService');
+
+function parseArgs(argv) {
+  const options = { name: null, tier: 'standard', admin: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--admin') {
+      options.admin = true;
+    } else if (argv[i] === '--tier') {
+      options.tier = argv[++i];
+    } else if (!options.name) {
+      options.name = argv[i];
+    }
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const tiers = ApiKey.schema.path('tier').enumValues;
+  if (!options.name || !tiers.includes(options.tier)) {
+    console.error(`Usage: npm run apikey:create -- <name> [--tier ${tiers.join('|')}] [--admin]`);
+    process.exitCode = 1;
+    return;
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  const { key, apiKey } = await createKey(options);
+  console.log(`Created ${apiKey.tier}${apiKey.admin ? ' admin' : ''} key "${apiKey.name}" (${apiKey._id})`);
+  console.log(key);
+}
+
+main()
+  .catch(error => {
+    console.error('Creating API key failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await mongoose.disconnect();
+    process.exit();
+  });
@@ -0,0 +1,49 @@
+// scripts/migrate-chain.js
+// One-off migration to chain-scoped documents: stamps the default chain on tokens, pools,
+// swaps and candles stored before multi-chain support, then swaps the old address-only
+// unique indexes for the chain-scoped ones. Also lowercases deployer addresses stored
+// before the field was normalized, so deployer filters and profiles match them.
+// Usage: npm run migrate:chain
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Token = require('../models/Token');
+const Pool = require('../models/Pool');
+const Swap = require('../models/Swap');
+const Candle = require('../models/Candle');
+const { DEFAULT_CHAIN } = require('../services/chains');
+
+async function main() {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  for (const Model of [Token, Pool, Swap, Candle]) {
+    const result = await Model.updateMany(
+      { chain: { $exists: false } },
+      { $set: { chain: DEFAULT_CHAIN } }
+    );
+    console.log(`${Model.modelName}: ${result.modifiedCount} documents assigned to ${DEFAULT_CHAIN}`);
+
+    // Drops indexes the schema no longer declares and builds the chain-scoped ones
+    const dropped = await Model.syncIndexes();
+    if (dropped.length > 0) {
+      console.log(`${Model.modelName}: dropped indexes ${dropped.join(', ')}`);
+    }
+  }
+
+  // Queries lowercase the deployer; an update pipeline rewrites each value in place
+  const deployers = await Token.updateMany(
+    { deployer: /[A-F]/ },
+    [{ $set: { deployer: { $toLower: '$deployer' } } }]
+  );
+  console.log(`Token: ${deployers.modifiedCount} deployer addresses lowercased`);
+}
+
+main()
+  .catch(error => {
+    console.error('Migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await mongoose.disconnect();
+    process.exit();
+  });
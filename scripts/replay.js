@@ -0,0 +1,81 @@
+// scripts/replay.js
+// Records a block range of chain data for a set of tokens, or replays such a recording
+// through the tracker with no network access. Both run against a throwaway database
+// (REPLAY_MONGODB_URI) that is emptied first, so every replay starts from the same state.
+// Usage: npm run replay -- record <file> --from <block> --to <block> --token <address> [--token <address> ...] [--chain <chain>] [--rpc <url>]
+//        npm run replay -- run <file>
+const { ethers } = require('ethers');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { record, replay } = require('../services/replayService');
+const { DEFAULT_CHAIN, resolveChain } = require('../services/chains');
+
+const USAGE = [
+  'Usage: npm run replay -- record <file> --from <block> --to <block> --token <address> [--token <address> ...] [--chain <chain>] [--rpc <url>]',
+  '       npm run replay -- run <file>'
+].join('\n');
+
+const DEFAULT_REPLAY_URI = 'mongodb://127.0.0.1:27017/token-tracker-replay';
+
+// Every value of a repeatable flag, removed from args
+function takeFlag(args, name) {
+  const values = [];
+  let index;
+  while ((index = args.indexOf(name)) !== -1) {
+    values.push(args.splice(index, 2)[1]);
+  }
+  return values;
+}
+
+function parseRecordArgs(args) {
+  const [chainArg = DEFAULT_CHAIN] = takeFlag(args, '--chain');
+  const [fromArg] = takeFlag(args, '--from');
+  const [toArg] = takeFlag(args, '--to');
+  const [rpcUrl] = takeFlag(args, '--rpc');
+  const tokens = takeFlag(args, '--token');
+
+  const chain = resolveChain(chainArg);
+  const fromBlock = parseInt(fromArg);
+  const toBlock = parseInt(toArg);
+  if (!chain || !(fromBlock > 0) || !(toBlock >= fromBlock) || tokens.length === 0 || !tokens.every(ethers.isAddress)) {
+    return null;
+  }
+  return { chain, fromBlock, toBlock, tokens, rpcUrl };
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const [mode, file] = args.splice(0, 2);
+  const options = mode === 'record' ? parseRecordArgs(args) : {};
+  if (!file || !['record', 'run'].includes(mode) || !options) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  // The database is dropped before each run, so never point it at the live one
+  const uri = process.env.REPLAY_MONGODB_URI || DEFAULT_REPLAY_URI;
+  if (uri === process.env.MONGODB_URI) {
+    throw new Error('REPLAY_MONGODB_URI must not be the same database as MONGODB_URI');
+  }
+  await mongoose.connect(uri);
+  await mongoose.connection.dropDatabase();
+
+  const summary = mode === 'record' ? await record(file, options) : await replay(file);
+  if (mode === 'record') {
+    console.log(`Recorded blocks ${summary.fromBlock}-${summary.toBlock} of ${summary.chain} to ${file}`);
+  } else if (summary.missingResponses > 0) {
+    console.warn(`${summary.missingResponses} requests were not in the recording; re-record to replay them`);
+  }
+  console.log(JSON.stringify(summary, null, 2));
+}
+
+main()
+  .catch(error => {
+    console.error('Replay failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await mongoose.disconnect();
+    process.exit();
+  });
@@ -6,15 +6,28 @@ require('dotenv').config();
 
 const tokenDataService = require('./services/tokenDataService');
 const tokenBatchService = require('./services/tokenBatchService');
+const priceSnapshotService = require('./services/priceSnapshotService');
+const deployerService = require('./services/deployerService');
+const alertService = require('./services/alertService');
+const socketService = require('./services/socketService');
+const providerManager = require('./services/providerManager');
+const { usageTracker } = require('./services/apiKeyService');
+const { authenticate } = require('./middleware/apiAuth');
 
 const app = express();
 const PORT = process.env.PORT || 4002;
 
+// Behind a reverse proxy the public tier must be limited per client IP, not per proxy
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? parseInt(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(cors({
   origin: process.env.FRONTEND_URL || '*',
   methods: ['GET', 'POST', 'PUT', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'If-None-Match', 'If-Modified-Since'],
+  exposedHeaders: ['ETag', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'X-Quota-Limit', 'X-Quota-Remaining', 'Retry-After']
 }));
 app.use(express.json());
 
@@ -27,10 +40,23 @@ mongoose.connect(process.env.MONGODB_URI)
     
     // Initialize token batch processing
     tokenBatchService.initializeBatchProcessing();
+
+    // Snapshot prices for the 5m-7d change percentages
+    priceSnapshotService.initializePriceSnapshots();
+
+    // Seed and maintain peak market caps from candle highs for deployer profiles
+    deployerService.initializePeakMarketCaps();
+
+    // Evaluate alerts against tracker and batch updates
+    alertService.start();
   })
   .catch(err => console.error('MongoDB connection error:', err));
 
 // Routes
+app.use(require('./routes/healthRoutes'));
+app.use('/api', authenticate);
+app.use('/api/admin', require('./routes/adminRoutes'));
+app.use('/api/alerts', require('./routes/alertRoutes'));
 app.use('/api', require('./routes/tokenRoutes'));
 
 // Production setup
@@ -56,13 +82,20 @@ const server = app.listen(PORT, () => {
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
 });
 
+// Real-time price push over Socket.IO
+socketService.initializeSocket(server);
+
 // Graceful shutdown - Updated for Mongoose 8+
 process.on('SIGTERM', async () => {
   console.log('SIGTERM signal received: closing HTTP server');
+  socketService.closeSocket();
+  alertService.stop();
   await new Promise(resolve => server.close(resolve));
   console.log('HTTP server closed');
   
   try {
+    await usageTracker.stop();
+    await providerManager.stopAll();
     await mongoose.connection.close();
     console.log('MongoDB connection closed');
     process.exit(0);
@@ -0,0 +1,186 @@
+// services/alertService.js
+const Alert = require('../models/Alert');
+const { tokenEvents } = require('./tokenEvents');
+const { getReferencePrice } = require('./priceSnapshotService');
+const webhookDelivery = require('./webhookDelivery');
+
+// Active alerts are cached per token; CRUD routes invalidate, and the cache also reloads
+// on an interval so edits made elsewhere are picked up
+const CACHE_REFRESH_INTERVAL = 60 * 1000;
+
+function tokenKey(chain, contractAddress) {
+  return `${chain}:${contractAddress.toLowerCase()}`;
+}
+
+// Evaluates alert conditions against the token updates published by the tracker and the
+// batch processor, and against live trades. Threshold alerts fire when their condition
+// starts to hold, not on every update while it holds; every alert also has a cooldown.
+class AlertService {
+  constructor() {
+    this.alertsByToken = new Map();
+    this.refreshTimer = null;
+    this.onTokenUpdated = (update) => this.evaluateUpdate(update);
+    this.onTradeRecorded = (trade) => this.evaluateTrade(trade);
+  }
+
+  async loadAlerts() {
+    try {
+      const alerts = await Alert.find({ active: true }).lean();
+      const byToken = new Map();
+      for (const alert of alerts) {
+        const key = tokenKey(alert.chain, alert.contractAddress);
+        if (!byToken.has(key)) byToken.set(key, []);
+        byToken.get(key).push(alert);
+      }
+      this.alertsByToken = byToken;
+    } catch (error) {
+      console.error('Error loading alerts:', error);
+    }
+  }
+
+  invalidate() {
+    return this.loadAlerts();
+  }
+
+  async start() {
+    if (this.refreshTimer) {
+      return;
+    }
+
+    await this.loadAlerts();
+    this.refreshTimer = setInterval(() => this.loadAlerts(), CACHE_REFRESH_INTERVAL);
+    tokenEvents.on('tokenUpdated', this.onTokenUpdated);
+    tokenEvents.on('tradeRecorded', this.onTradeRecorded);
+    webhookDelivery.startRetries();
+    console.log('Alert evaluation started');
+  }
+
+  stop() {
+    clearInterval(this.refreshTimer);
+    this.refreshTimer = null;
+    tokenEvents.off('tokenUpdated', this.onTokenUpdated);
+    tokenEvents.off('tradeRecorded', this.onTradeRecorded);
+    webhookDelivery.stopRetries();
+  }
+
+  // Whether a threshold alert's condition holds for an update, with the values it was judged
+  // on; null when the update does not carry what the alert needs
+  async checkCondition(alert, update) {
+    const price = update.price_usd;
+    const marketCap = update.market_cap_usd_twap || update.market_cap_usd;
+
+    switch (alert.type) {
+      case 'price_above':
+        return price > 0 ? { met: price >= alert.threshold, values: { price_usd: price } } : null;
+      case 'price_below':
+        return price > 0 ? { met: price <= alert.threshold, values: { price_usd: price } } : null;
+      case 'market_cap_above':
+        return marketCap > 0 ? { met: marketCap >= alert.threshold, values: { market_cap_usd: marketCap } } : null;
+      case 'market_cap_below':
+        return marketCap > 0 ? { met: marketCap <= alert.threshold, values: { market_cap_usd: marketCap } } : null;
+      case 'price_change': {
+        const reference = price > 0 && await getReferencePrice(alert.chain, alert.contractAddress, alert.window);
+        if (!reference) {
+          return null;
+        }
+        const change = ((price - reference) / reference) * 100;
+        const met = (alert.direction !== 'down' && change >= alert.threshold) ||
+          (alert.direction !== 'up' && change <= -alert.threshold);
+        return { met, values: { price_usd: price, reference_price_usd: reference, change_percentage: change, window: alert.window } };
+      }
+      default:
+        return null;
+    }
+  }
+
+  async evaluateUpdate(update) {
+    const alerts = this.alertsByToken.get(tokenKey(update.chain, update.contractAddress));
+    if (!alerts) {
+      return;
+    }
+
+    for (const alert of alerts) {
+      if (alert.type === 'large_trade') continue;
+
+      try {
+        const result = await this.checkCondition(alert, update);
+        if (!result || result.met === alert.condition_met) {
+          continue;
+        }
+
+        alert.condition_met = result.met;
+        await Alert.updateOne({ _id: alert._id }, { $set: { condition_met: result.met } });
+        if (result.met) {
+          await this.trigger(alert, update, { ...result.values, source: update.source });
+        }
+      } catch (error) {
+        console.error(`Error evaluating alert ${alert._id}:`, error);
+      }
+    }
+  }
+
+  async evaluateTrade(trade) {
+    const alerts = this.alertsByToken.get(tokenKey(trade.chain, trade.contractAddress));
+    if (!alerts) {
+      return;
+    }
+
+    for (const alert of alerts) {
+      if (alert.type !== 'large_trade' || !(trade.volumeUsd >= alert.threshold)) continue;
+
+      try {
+        await this.trigger(alert, trade, {
+          side: trade.side,
+          volume_usd: trade.volumeUsd,
+          price_usd: trade.priceUsd,
+          trader: trade.trader,
+          transaction_hash: trade.transactionHash,
+          block_number: trade.blockNumber
+        });
+      } catch (error) {
+        console.error(`Error evaluating alert ${alert._id}:`, error);
+      }
+    }
+  }
+
+  // Claim the trigger atomically so concurrent evaluations cannot both deliver inside the cooldown
+  async trigger(alert, token, values) {
+    const now = new Date();
+    const claimed = await Alert.findOneAndUpdate(
+      {
+        _id: alert._id,
+        active: true,
+        $or: [
+          { last_triggered_at: null },
+          { last_triggered_at: { $lte: new Date(now.getTime() - alert.cooldown_seconds * 1000) } }
+        ]
+      },
+      { $set: { last_triggered_at: now }, $inc: { trigger_count: 1 } },
+      { new: true }
+    );
+    if (!claimed) {
+      return null;
+    }
+
+    console.log(`Alert ${alert._id} (${alert.type}) triggered for ${token.symbol || alert.contractAddress}`);
+    return webhookDelivery.deliver(claimed, {
+      alert: {
+        id: String(claimed._id),
+        name: claimed.name,
+        type: claimed.type,
+        threshold: claimed.threshold,
+        window: claimed.window,
+        direction: claimed.direction
+      },
+      token: {
+        chain: claimed.chain,
+        contractAddress: claimed.contractAddress,
+        symbol: token.symbol || null
+      },
+      event: values,
+      triggeredAt: now.toISOString()
+    });
+  }
+}
+
+module.exports = new AlertService();
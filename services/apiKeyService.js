@@ -0,0 +1,229 @@
+// services/apiKeyService.js
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const ApiKeyUsage = require('../models/ApiKeyUsage');
+
+// Requests per minute and per UTC day. Anonymous clients get the public tier, per IP.
+const TIERS = {
+  public: {
+    requestsPerMinute: parseInt(process.env.PUBLIC_RATE_LIMIT) || 30,
+    dailyQuota: parseInt(process.env.PUBLIC_DAILY_QUOTA) || 5000
+  },
+  standard: {
+    requestsPerMinute: parseInt(process.env.STANDARD_RATE_LIMIT) || 120,
+    dailyQuota: parseInt(process.env.STANDARD_DAILY_QUOTA) || 100000
+  },
+  premium: {
+    requestsPerMinute: parseInt(process.env.PREMIUM_RATE_LIMIT) || 600,
+    dailyQuota: parseInt(process.env.PREMIUM_DAILY_QUOTA) || 1000000
+  }
+};
+
+const KEY_PREFIX = 'tt_';
+const KEY_CACHE_TTL = 60 * 1000;
+const FLUSH_INTERVAL = 10 * 1000;
+const MINUTE = 60 * 1000;
+
+function generateKey() {
+  return KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function utcDay(time) {
+  const date = new Date(time);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+}
+
+// Keys are stored hashed, so the plain key is only available here, once
+async function createKey({ name, tier = 'standard', admin = false, requestsPerMinute = null, dailyQuota = null }) {
+  const key = generateKey();
+  const apiKey = await ApiKey.create({
+    name,
+    key_hash: hashKey(key),
+    key_prefix: key.slice(0, KEY_PREFIX.length + 6),
+    tier,
+    admin,
+    requests_per_minute: requestsPerMinute,
+    daily_quota: dailyQuota
+  });
+  return { key, apiKey };
+}
+
+// hash -> { apiKey, expires }; misses are cached too so bad keys do not each cost a query
+const keyCache = new Map();
+
+// The active key matching a presented key, or null
+async function findKey(key) {
+  const hash = hashKey(key);
+  const cached = keyCache.get(hash);
+  if (cached && cached.expires > Date.now()) {
+    return cached.apiKey;
+  }
+
+  const apiKey = await ApiKey.findOne({ key_hash: hash, active: true }).lean();
+  keyCache.set(hash, { apiKey, expires: Date.now() + KEY_CACHE_TTL });
+  return apiKey;
+}
+
+// Key changes made through the admin routes take effect at once
+function clearKeyCache() {
+  keyCache.clear();
+}
+
+function limitsFor(apiKey) {
+  const tier = TIERS[apiKey ? apiKey.tier : 'public'] || TIERS.standard;
+  return {
+    requestsPerMinute: apiKey?.requests_per_minute ?? tier.requestsPerMinute,
+    dailyQuota: apiKey?.daily_quota ?? tier.dailyQuota
+  };
+}
+
+// Fixed-window rate limits and daily quotas, counted in memory. Key usage is flushed to Mongo
+// periodically; a key's daily count is reloaded from there on first use after a restart.
+class UsageTracker {
+  constructor() {
+    // client id ('key:<id>' or 'ip:<address>') -> { day, dayCount, window, windowCount, ready }
+    this.clients = new Map();
+    // '<key id>:<day>' -> { apiKeyId, day, requests, rejected, lastUsed }
+    this.pending = new Map();
+    this.flushTimer = null;
+  }
+
+  async getState(clientId, apiKeyId, now) {
+    const day = utcDay(now);
+    let state = this.clients.get(clientId);
+
+    if (!state || state.day !== day) {
+      state = { day, dayCount: 0, window: 0, windowCount: 0 };
+      state.ready = apiKeyId
+        ? ApiKeyUsage.findOne({ api_key: apiKeyId, day: new Date(day) }).lean()
+          .then(usage => { state.dayCount += usage ? usage.requests : 0; })
+          .catch(error => {
+            // Forget the state so the next request loads the count again
+            if (this.clients.get(clientId) === state) this.clients.delete(clientId);
+            throw error;
+          })
+        : Promise.resolve();
+      this.clients.set(clientId, state);
+    }
+
+    await state.ready;
+    return state;
+  }
+
+  // Count a request against the client's limits. Rejected requests do not use up quota.
+  async consume(clientId, apiKeyId, limits, now = Date.now()) {
+    if (!this.flushTimer) {
+      this.flushTimer = setInterval(() => this.flush(), FLUSH_INTERVAL);
+    }
+
+    const state = await this.getState(clientId, apiKeyId, now);
+    const window = Math.floor(now / MINUTE) * MINUTE;
+    if (state.window !== window) {
+      state.window = window;
+      state.windowCount = 0;
+    }
+
+    let reason = null;
+    let retryAfter = 0;
+    if (state.windowCount >= limits.requestsPerMinute) {
+      reason = 'Rate limit exceeded';
+      retryAfter = Math.ceil((window + MINUTE - now) / 1000);
+    } else if (state.dayCount >= limits.dailyQuota) {
+      reason = 'Daily quota exceeded';
+      retryAfter = Math.ceil((state.day + 24 * 60 * MINUTE - now) / 1000);
+    } else {
+      state.windowCount++;
+      state.dayCount++;
+    }
+
+    if (apiKeyId) {
+      this.record(apiKeyId, state.day, !reason, now);
+    }
+
+    return {
+      allowed: !reason,
+      reason,
+      retryAfter,
+      limit: limits.requestsPerMinute,
+      remaining: Math.max(0, limits.requestsPerMinute - state.windowCount),
+      resetAt: Math.ceil((window + MINUTE) / 1000),
+      quota: limits.dailyQuota,
+      quotaRemaining: Math.max(0, limits.dailyQuota - state.dayCount)
+    };
+  }
+
+  record(apiKeyId, day, allowed, now) {
+    const key = `${apiKeyId}:${day}`;
+    let entry = this.pending.get(key);
+    if (!entry) {
+      entry = { apiKeyId, day, requests: 0, rejected: 0, lastUsed: now };
+      this.pending.set(key, entry);
+    }
+    if (allowed) {
+      entry.requests++;
+    } else {
+      entry.rejected++;
+    }
+    entry.lastUsed = now;
+  }
+
+  async flush() {
+    // Anonymous clients from previous days no longer matter
+    const today = utcDay(Date.now());
+    for (const [clientId, state] of this.clients) {
+      if (state.day !== today) this.clients.delete(clientId);
+    }
+
+    if (this.pending.size === 0) {
+      return;
+    }
+    const entries = [...this.pending.values()];
+    this.pending.clear();
+
+    try {
+      await ApiKeyUsage.bulkWrite(entries.map(entry => ({
+        updateOne: {
+          filter: { api_key: entry.apiKeyId, day: new Date(entry.day) },
+          update: { $inc: { requests: entry.requests, rejected: entry.rejected } },
+          upsert: true
+        }
+      })), { ordered: false });
+
+      await ApiKey.bulkWrite(entries.map(entry => ({
+        updateOne: {
+          filter: { _id: entry.apiKeyId },
+          update: {
+            $inc: { requests_total: entry.requests, rejected_total: entry.rejected },
+            $max: { last_used_at: new Date(entry.lastUsed) }
+          }
+        }
+      })), { ordered: false });
+    } catch (error) {
+      console.error('Error flushing API key usage:', error);
+    }
+  }
+
+  async stop() {
+    clearInterval(this.flushTimer);
+    this.flushTimer = null;
+    await this.flush();
+  }
+}
+
+const usageTracker = new UsageTracker();
+
+module.exports = {
+  TIERS,
+  generateKey,
+  hashKey,
+  createKey,
+  findKey,
+  clearKeyCache,
+  limitsFor,
+  UsageTracker,
+  usageTracker
+};
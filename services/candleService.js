@@ -0,0 +1,91 @@
+// services/candleService.js
+const Candle = require('../models/Candle');
+
+// Supported candle resolutions and their bucket size in milliseconds
+const RESOLUTIONS = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+};
+
+const MAX_CANDLES = 1000;
+
+function bucketStart(timestamp, resolution) {
+  const size = RESOLUTIONS[resolution];
+  return new Date(Math.floor(timestamp.getTime() / size) * size);
+}
+
+// Ordering key for a swap log: block number, then position in the block
+function swapSequence(blockNumber, logIndex) {
+  return blockNumber * 100000 + logIndex;
+}
+
+// Fold a single swap into the candle of every resolution. Swaps may arrive out of
+// order (gap recovery, backfill), so open/close follow the swap sequence, not arrival.
+async function recordSwap(chain, contractAddress, priceUsd, volumeUsd = 0, timestamp = new Date(), sequence = timestamp.getTime(), { session } = {}) {
+  if (!(priceUsd > 0)) {
+    return;
+  }
+
+  const address = contractAddress.toLowerCase();
+  const isFirst = { $or: [{ $eq: [{ $type: '$open_seq' }, 'missing'] }, { $lt: [sequence, '$open_seq'] }] };
+  const isLast = { $or: [{ $eq: [{ $type: '$close_seq' }, 'missing'] }, { $gte: [sequence, '$close_seq'] }] };
+
+  const operations = Object.keys(RESOLUTIONS).map(resolution => ({
+    updateOne: {
+      filter: {
+        chain,
+        contractAddress: address,
+        resolution,
+        time: bucketStart(timestamp, resolution)
+      },
+      update: [{
+        $set: {
+          open: { $cond: [isFirst, priceUsd, '$open'] },
+          open_seq: { $min: ['$open_seq', sequence] },
+          close: { $cond: [isLast, priceUsd, '$close'] },
+          close_seq: { $max: ['$close_seq', sequence] },
+          high: { $max: ['$high', priceUsd] },
+          low: { $min: ['$low', priceUsd] },
+          volume_usd: { $add: [{ $ifNull: ['$volume_usd', 0] }, volumeUsd || 0] },
+          trades: { $add: [{ $ifNull: ['$trades', 0] }, 1] }
+        }
+      }],
+      upsert: true
+    }
+  }));
+
+  // Errors propagate: the caller's transaction must not store the swap without its candles
+  await Candle.bulkWrite(operations, { ordered: false, session });
+}
+
+async function getCandles(chain, contractAddress, resolution, from, to, limit = MAX_CANDLES) {
+  const candles = await Candle.find({
+    chain,
+    contractAddress: contractAddress.toLowerCase(),
+    resolution,
+    time: { $gte: bucketStart(from, resolution), $lte: to }
+  })
+    .sort({ time: 1 })
+    .limit(Math.min(limit, MAX_CANDLES))
+    .lean();
+
+  return candles.map(candle => ({
+    time: Math.floor(candle.time.getTime() / 1000),
+    open: candle.open,
+    high: candle.high,
+    low: candle.low,
+    close: candle.close,
+    volume: candle.volume_usd,
+    trades: candle.trades
+  }));
+}
+
+module.exports = {
+  RESOLUTIONS,
+  MAX_CANDLES,
+  swapSequence,
+  recordSwap,
+  getCandles
+};
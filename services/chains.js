@@ -0,0 +1,183 @@
+// services/chains.js
+// Registry of supported chains: RPC endpoints, wrapped native asset, quote assets,
+// DEX deployments and the network ids used by the market data providers.
+require('dotenv').config();
+
+const DEFAULT_CHAIN = 'base';
+
+function splitList(value) {
+  return (value || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+// Base keeps the original unprefixed variables; other chains use <PREFIX>_RPC_URL etc.
+function rpcConfig(prefix, legacy = {}) {
+  return {
+    rpcUrl: process.env[`${prefix}_RPC_URL`] || legacy.rpcUrl,
+    wsUrl: process.env[`${prefix}_WS_RPC_URL`] || legacy.wsUrl,
+    fallbackRpcUrls: splitList(process.env[`${prefix}_FALLBACK_RPC_URLS`] || legacy.fallbackRpcUrls),
+    trackedQuoteTokens: splitList(process.env[`${prefix}_QUOTE_TOKENS`] || legacy.quoteTokens)
+  };
+}
+
+// Quote assets are keyed by lowercase address; each is priced against an asset closer to USD
+const CHAINS = {
+  base: {
+    id: 'base',
+    chainId: 8453,
+    name: 'Base',
+    ...rpcConfig('BASE', {
+      wsUrl: process.env.WS_RPC_URL,
+      fallbackRpcUrls: process.env.FALLBACK_RPC_URLS,
+      quoteTokens: process.env.QUOTE_TOKENS
+    }),
+    wrappedNative: '0x4200000000000000000000000000000000000006',
+    usdAnchor: '0x833589fcd6edb6e08f4c7c32d4f71b54bda02913',
+    quoteAssets: {
+      '0x833589fcd6edb6e08f4c7c32d4f71b54bda02913': { symbol: 'USDC', decimals: 6, pricedAgainst: null },
+      '0x4200000000000000000000000000000000000006': { symbol: 'WETH', decimals: 18, pricedAgainst: '0x833589fcd6edb6e08f4c7c32d4f71b54bda02913' },
+      '0xd9aaec86b65d86f6a7b5b1b0c42ffa531710b6ca': { symbol: 'USDbC', decimals: 6, pricedAgainst: '0x833589fcd6edb6e08f4c7c32d4f71b54bda02913' },
+      '0xcbb7c0000ab88b473b1f5afd9ef808440eed33bf': { symbol: 'cbBTC', decimals: 8, pricedAgainst: '0x833589fcd6edb6e08f4c7c32d4f71b54bda02913' },
+      '0x2ae3f1ec7f1f5012cfeab0185bfc7aa3cf0dec22': { symbol: 'cbETH', decimals: 18, pricedAgainst: '0x4200000000000000000000000000000000000006' }
+    },
+    dexes: {
+      'uniswap-v2': { factory: '0x8909Dc15e40173Ff4699343b6eB8132c65e18eC6' },
+      'uniswap-v3': { factory: '0x33128a8fC17869897dcE68Ed026d694621f6FDfD' },
+      'uniswap-v4': {
+        poolManager: '0x498581fF718922c3f8e6A244956aF099B2652b2b',
+        stateView: '0xA3c0c9b65baD0b08107Aa264b0f3dB444b867A71'
+      },
+      aerodrome: { factory: '0x420DD381b31aEf6683db6B902084cB0FFECe40Da' }
+    },
+    marketData: { geckoterminal: 'base', dexscreener: 'base', coingecko: 'base' }
+  },
+
+  ethereum: {
+    id: 'ethereum',
+    chainId: 1,
+    name: 'Ethereum',
+    ...rpcConfig('ETHEREUM'),
+    wrappedNative: '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2',
+    usdAnchor: '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48',
+    quoteAssets: {
+      '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48': { symbol: 'USDC', decimals: 6, pricedAgainst: null },
+      '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2': { symbol: 'WETH', decimals: 18, pricedAgainst: '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48' },
+      '0xdac17f958d2ee523a2206206994597c13d831ec7': { symbol: 'USDT', decimals: 6, pricedAgainst: '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48' },
+      '0x6b175474e89094c44da98b954eedeac495271d0f': { symbol: 'DAI', decimals: 18, pricedAgainst: '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48' },
+      '0x2260fac5e5542a773aa44fbcfedf7c193bc2c599': { symbol: 'WBTC', decimals: 8, pricedAgainst: '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48' }
+    },
+    dexes: {
+      'uniswap-v2': { factory: '0x5C69bEe701ef814a2B6a3EDD4B1652CB9cc5aA6f' },
+      'uniswap-v3': { factory: '0x1F98431c8aD98523631AE4a59f267346ea31F984' },
+      'uniswap-v4': {
+        poolManager: '0x000000000004444c5dc75cB358380D2e3dE08A90',
+        stateView: '0x7fFE42C4a5DEeA5b0feC41C94C136Cf115597227'
+      }
+    },
+    marketData: { geckoterminal: 'eth', dexscreener: 'ethereum', coingecko: 'ethereum' }
+  },
+
+  arbitrum: {
+    id: 'arbitrum',
+    chainId: 42161,
+    name: 'Arbitrum One',
+    ...rpcConfig('ARBITRUM'),
+    wrappedNative: '0x82af49447d8a07e3bd95bd0d56f35241523fbab1',
+    usdAnchor: '0xaf88d065e77c8cc2239327c5edb3a432268e5831',
+    quoteAssets: {
+      '0xaf88d065e77c8cc2239327c5edb3a432268e5831': { symbol: 'USDC', decimals: 6, pricedAgainst: null },
+      '0x82af49447d8a07e3bd95bd0d56f35241523fbab1': { symbol: 'WETH', decimals: 18, pricedAgainst: '0xaf88d065e77c8cc2239327c5edb3a432268e5831' },
+      '0xff970a61a04b1ca14834a43f5de4533ebddb5cc8': { symbol: 'USDC.e', decimals: 6, pricedAgainst: '0xaf88d065e77c8cc2239327c5edb3a432268e5831' },
+      '0xfd086bc7cd5c481dcc9c85ebe478a1c0b69fcbb9': { symbol: 'USDT', decimals: 6, pricedAgainst: '0xaf88d065e77c8cc2239327c5edb3a432268e5831' }
+    },
+    dexes: {
+      'uniswap-v2': { factory: '0xf1D7CC64Fb4452F05c498126312eBE29f30Fbcf9' },
+      'uniswap-v3': { factory: '0x1F98431c8aD98523631AE4a59f267346ea31F984' },
+      'uniswap-v4': {
+        poolManager: '0x360E68faCcca8cA495c1B759Fd9EEe466db9FB32',
+        stateView: '0x76Fd297e2D437cd7f76d50F01AfE6160f86e9990'
+      }
+    },
+    marketData: { geckoterminal: 'arbitrum', dexscreener: 'arbitrum', coingecko: 'arbitrum-one' }
+  },
+
+  optimism: {
+    id: 'optimism',
+    chainId: 10,
+    name: 'OP Mainnet',
+    ...rpcConfig('OPTIMISM'),
+    wrappedNative: '0x4200000000000000000000000000000000000006',
+    usdAnchor: '0x0b2c639c533813f4aa9d7837caf62653d097ff85',
+    quoteAssets: {
+      '0x0b2c639c533813f4aa9d7837caf62653d097ff85': { symbol: 'USDC', decimals: 6, pricedAgainst: null },
+      '0x4200000000000000000000000000000000000006': { symbol: 'WETH', decimals: 18, pricedAgainst: '0x0b2c639c533813f4aa9d7837caf62653d097ff85' },
+      '0x7f5c764cbc14f9669b88837ca1490cca17c31607': { symbol: 'USDC.e', decimals: 6, pricedAgainst: '0x0b2c639c533813f4aa9d7837caf62653d097ff85' },
+      '0x94b008aa00579c1307b0ef2c499ad98a8ce58e58': { symbol: 'USDT', decimals: 6, pricedAgainst: '0x0b2c639c533813f4aa9d7837caf62653d097ff85' }
+    },
+    dexes: {
+      'uniswap-v2': { factory: '0x0c3c1c532F1e39EdF36BE9Fe0bE1410313E074Bf' },
+      'uniswap-v3': { factory: '0x1F98431c8aD98523631AE4a59f267346ea31F984' },
+      'uniswap-v4': {
+        poolManager: '0x9a13F98Cb987694C9F086b1F5eB990EeA8264Ec3',
+        stateView: '0xc18a3169788F4F75A170290584ECA6395C75Ecdb'
+      },
+      // Velodrome V2 shares Aerodrome's pool factory and pool interface
+      velodrome: { factory: '0xF1046053aa5682b4F9a81b5481394DA16BE5FF5a' }
+    },
+    marketData: { geckoterminal: 'optimism', dexscreener: 'optimism', coingecko: 'optimistic-ethereum' }
+  }
+};
+
+const CHAIN_IDS = Object.keys(CHAINS);
+
+function getChain(id) {
+  const chain = CHAINS[id];
+  if (!chain) {
+    throw new Error(`Unsupported chain: ${id}`);
+  }
+  return chain;
+}
+
+// Chains to track, from CHAINS (comma-separated ids). Only Base by default.
+function getEnabledChains() {
+  const configured = splitList(process.env.CHAINS).map(id => id.toLowerCase());
+  const ids = configured.length > 0 ? configured : [DEFAULT_CHAIN];
+
+  return ids.filter(id => {
+    if (!CHAINS[id]) {
+      console.warn(`Unknown chain "${id}" in CHAINS ignored`);
+      return false;
+    }
+    return true;
+  });
+}
+
+function isEnabled(id) {
+  return getEnabledChains().includes(id);
+}
+
+// Accept a chain id ("arbitrum") or a numeric chain id ("42161"); null when unsupported
+function resolveChain(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const key = String(value).trim().toLowerCase();
+  if (CHAINS[key]) {
+    return key;
+  }
+  const byChainId = Object.values(CHAINS).find(chain => String(chain.chainId) === key);
+  return byChainId ? byChainId.id : null;
+}
+
+module.exports = {
+  DEFAULT_CHAIN,
+  CHAINS,
+  CHAIN_IDS,
+  getChain,
+  getEnabledChains,
+  isEnabled,
+  resolveChain
+};
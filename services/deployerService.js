@@ -0,0 +1,181 @@
+// services/deployerService.js
+const cron = require('node-cron');
+const { ethers } = require('ethers');
+const Token = require('../models/Token');
+const Candle = require('../models/Candle');
+const { getEnabledChains } = require('./chains');
+
+// A token is dead once its market cap falls below this, or it has not traded for DEAD_AFTER
+const DEAD_MARKET_CAP = parseFloat(process.env.DEAD_TOKEN_MARKET_CAP) || 1000;
+const DEAD_AFTER = (parseInt(process.env.DEAD_TOKEN_DAYS) || 7) * 24 * 60 * 60 * 1000;
+
+const MAX_LEADERBOARD_SIZE = 100;
+
+// Candles touched within this margin before the previous peak refresh are checked again
+const PEAK_REFRESH_OVERLAP = 10 * 60 * 1000;
+
+let peakCronJob = null;
+// chain -> start of the last peak refresh
+const peaksRefreshedAt = new Map();
+
+// Leaderboard rankings: prolific by tokens launched, successful by best peak market cap
+const LEADERBOARD_METRICS = {
+  tokens: { tokenCount: -1, bestPeakMarketCap: -1 },
+  peakMarketCap: { bestPeakMarketCap: -1, tokenCount: -1 },
+  volume: { totalVolume: -1, tokenCount: -1 }
+};
+
+// Aggregation expression for the dead flag; tokens that never traded count from launch
+function isDeadExpression(now) {
+  return {
+    $or: [
+      { $lt: ['$market_cap_usd_twap', DEAD_MARKET_CAP] },
+      { $lt: [{ $ifNull: ['$last_trade_at', '$createdAt'] }, new Date(now.getTime() - DEAD_AFTER)] }
+    ]
+  };
+}
+
+// Every token a wallet deployed, newest first, with a summary of how they fared
+async function getDeployerProfile(match, deployer, now = new Date()) {
+  const address = deployer.toLowerCase();
+
+  const tokens = await Token.aggregate([
+    { $match: { ...match, deployer: address } },
+    { $sort: { createdAt: -1 } },
+    {
+      $project: {
+        _id: 0,
+        chain: 1,
+        contractAddress: 1,
+        name: 1,
+        symbol: 1,
+        launchedAt: '$createdAt',
+        blockNumber: 1,
+        marketCapUsd: '$market_cap_usd_twap',
+        peakMarketCapUsd: '$market_cap_usd_peak',
+        peakMarketCapAt: '$market_cap_peak_at',
+        volumeUsd24h: '$volume_usd_24h',
+        totalVolumeUsd: '$volume_usd_total',
+        lastTradeAt: '$last_trade_at',
+        dead: isDeadExpression(now)
+      }
+    }
+  ]);
+
+  const summary = {
+    tokenCount: tokens.length,
+    deadCount: tokens.filter(token => token.dead).length,
+    totalVolumeUsd: tokens.reduce((total, token) => total + (token.totalVolumeUsd || 0), 0),
+    bestPeakMarketCapUsd: Math.max(0, ...tokens.map(token => token.peakMarketCapUsd || 0)),
+    firstLaunchAt: tokens.length > 0 ? tokens[tokens.length - 1].launchedAt : null,
+    lastLaunchAt: tokens.length > 0 ? tokens[0].launchedAt : null
+  };
+
+  return { deployer: address, summary, tokens };
+}
+
+// Deployers ranked by the given metric. Tokens whose deployer could not be resolved are
+// stored with the zero address and left out.
+async function getLeaderboard(match, { metric = 'tokens', limit = 25, now = new Date() } = {}) {
+  const size = Math.min(Math.max(limit, 1), MAX_LEADERBOARD_SIZE);
+
+  const deployers = await Token.aggregate([
+    { $match: { ...match, deployer: { $nin: [ethers.ZeroAddress.toLowerCase(), null] } } },
+    {
+      $group: {
+        _id: '$deployer',
+        tokenCount: { $sum: 1 },
+        deadCount: { $sum: { $cond: [isDeadExpression(now), 1, 0] } },
+        bestPeakMarketCap: { $max: '$market_cap_usd_peak' },
+        totalVolume: { $sum: '$volume_usd_total' },
+        chains: { $addToSet: '$chain' },
+        firstLaunchAt: { $min: '$createdAt' },
+        lastLaunchAt: { $max: '$createdAt' }
+      }
+    },
+    { $sort: LEADERBOARD_METRICS[metric] },
+    { $limit: size }
+  ]);
+
+  return deployers.map(({ _id, bestPeakMarketCap, totalVolume, ...stats }) => ({
+    deployer: _id,
+    ...stats,
+    bestPeakMarketCapUsd: bestPeakMarketCap || 0,
+    totalVolumeUsd: totalVolume || 0
+  }));
+}
+
+// Raise each token's peak market cap to its highest daily candle high times its supply.
+// Token saves only see the price at batch time, so a peak between saves, or before the
+// token was tracked, would otherwise be missed. The first run per chain scans every
+// daily candle; later runs only those updated since the previous one.
+async function refreshPeakMarketCaps(chain) {
+  const startedAt = new Date();
+  const since = peaksRefreshedAt.get(chain);
+
+  const match = { chain, resolution: '1d', high: { $gt: 0 } };
+  if (since) {
+    match.updatedAt = { $gte: new Date(since.getTime() - PEAK_REFRESH_OVERLAP) };
+  }
+  const highs = await Candle.aggregate([
+    { $match: match },
+    { $sort: { high: -1 } },
+    { $group: { _id: '$contractAddress', high: { $first: '$high' }, time: { $first: '$time' } } }
+  ]);
+
+  const tokens = await Token.find({ chain, contractAddress: { $in: highs.map(high => high._id) } })
+    .select('contractAddress decimals total_supply total_supply_raw market_cap_usd_peak')
+    .lean();
+  const byAddress = new Map(tokens.map(token => [token.contractAddress, token]));
+
+  const operations = [];
+  for (const { _id: address, high, time } of highs) {
+    const token = byAddress.get(address);
+    const peak = token ? Token.supplyValueUsd(token, high) : 0;
+    if (peak > (token?.market_cap_usd_peak || 0)) {
+      operations.push({
+        updateOne: {
+          // Conditional so a higher peak written meanwhile by a save is kept
+          filter: { chain, contractAddress: address, market_cap_usd_peak: { $not: { $gte: peak } } },
+          update: { $set: { market_cap_usd_peak: peak, market_cap_peak_at: time } }
+        }
+      });
+    }
+  }
+
+  if (operations.length > 0) {
+    await Token.bulkWrite(operations, { ordered: false });
+  }
+  peaksRefreshedAt.set(chain, startedAt);
+  return operations.length;
+}
+
+async function runPeakRefresh() {
+  for (const chain of getEnabledChains()) {
+    try {
+      const updated = await refreshPeakMarketCaps(chain);
+      console.log(`Raised ${updated} ${chain} peak market caps from candle highs`);
+    } catch (error) {
+      console.error(`Error refreshing ${chain} peak market caps:`, error);
+    }
+  }
+}
+
+// Seed peaks from the stored candles now, then refresh them every 15 minutes
+function initializePeakMarketCaps() {
+  if (!peakCronJob) {
+    peakCronJob = cron.schedule('*/15 * * * *', runPeakRefresh);
+    runPeakRefresh();
+    console.log('Peak market cap refresh scheduled for every 15 minutes');
+  }
+}
+
+module.exports = {
+  DEAD_MARKET_CAP,
+  DEAD_AFTER,
+  LEADERBOARD_METRICS,
+  getDeployerProfile,
+  getLeaderboard,
+  refreshPeakMarketCaps,
+  initializePeakMarketCaps
+};
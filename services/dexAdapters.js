@@ -0,0 +1,591 @@
+// services/dexAdapters.js
+// Per-DEX pool lookup, state reads and Swap decoding behind one interface.
+const { ethers } = require('ethers');
+const { call, multicall, ERC20_ABI } = require('./multicall');
+const { DEFAULT_CHAIN, getChain } = require('./chains');
+const fixedPoint = require('./fixedPoint');
+
+const Q96 = 2n ** 96n;
+
+const V2_FACTORY_ABI = [
+  "event PairCreated(address indexed token0, address indexed token1, address pair, uint256)",
+  "function getPair(address,address) view returns (address)"
+];
+const V2_PAIR_ABI = [
+  "event Swap(address indexed sender, uint256 amount0In, uint256 amount1In, uint256 amount0Out, uint256 amount1Out, address indexed to)",
+  "event Mint(address indexed sender, uint256 amount0, uint256 amount1)",
+  "event Burn(address indexed sender, uint256 amount0, uint256 amount1, address indexed to)",
+  "function getReserves() view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)"
+];
+
+const V3_FACTORY_ABI = [
+  "event PoolCreated(address indexed token0, address indexed token1, uint24 indexed fee, int24 tickSpacing, address pool)",
+  "function getPool(address,address,uint24) view returns (address)"
+];
+const V3_POOL_ABI = [
+  "event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)",
+  "event Mint(address sender, address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)",
+  "event Burn(address indexed owner, int24 indexed tickLower, int24 indexed tickUpper, uint128 amount, uint256 amount0, uint256 amount1)",
+  "function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)",
+  "function liquidity() view returns (uint128)",
+  "function observe(uint32[] secondsAgos) view returns (int56[] tickCumulatives, uint160[] secondsPerLiquidityCumulativeX128s)",
+  "function token0() view returns (address)",
+  "function token1() view returns (address)"
+];
+
+const V4_POOL_MANAGER_ABI = [
+  "event Initialize(bytes32 indexed id, address indexed currency0, address indexed currency1, uint24 fee, int24 tickSpacing, address hooks, uint160 sqrtPriceX96, int24 tick)",
+  "event Swap(bytes32 indexed id, address indexed sender, int128 amount0, int128 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick, uint24 fee)",
+  "event ModifyLiquidity(bytes32 indexed id, address indexed sender, int24 tickLower, int24 tickUpper, int256 liquidityDelta, bytes32 salt)"
+];
+const V4_STATE_VIEW_ABI = [
+  "function getSlot0(bytes32 poolId) view returns (uint160 sqrtPriceX96, int24 tick, uint24 protocolFee, uint24 lpFee)",
+  "function getLiquidity(bytes32 poolId) view returns (uint128)"
+];
+
+const AERODROME_FACTORY_ABI = [
+  "event PoolCreated(address indexed token0, address indexed token1, bool indexed stable, address pool, uint256)",
+  "function getPool(address,address,bool) view returns (address)"
+];
+const AERODROME_POOL_ABI = [
+  "event Swap(address indexed sender, address indexed to, uint256 amount0In, uint256 amount1In, uint256 amount0Out, uint256 amount1Out)",
+  "event Mint(address indexed sender, uint256 amount0, uint256 amount1)",
+  "event Burn(address indexed sender, address indexed to, uint256 amount0, uint256 amount1)",
+  "function getReserves() view returns (uint256 reserve0, uint256 reserve1, uint256 blockTimestampLast)"
+];
+
+// Fee tier / tick spacing pairs used by hookless V4 pools
+const V4_POOL_PARAMS = [
+  { fee: 100, tickSpacing: 1 },
+  { fee: 500, tickSpacing: 10 },
+  { fee: 3000, tickSpacing: 60 },
+  { fee: 10000, tickSpacing: 200 }
+];
+
+function sortAddresses(a, b) {
+  const lowerA = a.toLowerCase();
+  const lowerB = b.toLowerCase();
+  return lowerA < lowerB ? [lowerA, lowerB] : [lowerB, lowerA];
+}
+
+// Factory / singleton addresses of a pool's DEX on the pool's chain
+function getDeployment(pool) {
+  return getChain(pool.chain || DEFAULT_CHAIN).dexes[pool.dex];
+}
+
+function isZeroAddress(address) {
+  return !address || address === ethers.ZeroAddress;
+}
+
+// Virtual reserves of the liquidity currently in range: x = L / sqrtP, y = L * sqrtP
+function concentratedReserves(sqrtPriceX96, liquidity) {
+  if (!sqrtPriceX96) {
+    return { reserve0: 0n, reserve1: 0n };
+  }
+  return {
+    reserve0: (liquidity * Q96) / sqrtPriceX96,
+    reserve1: (liquidity * sqrtPriceX96) / Q96
+  };
+}
+
+// V2-style pools report amounts in/out; convert to signed deltas from the pool's side
+function normalizeV2Swap(amount0In, amount1In, amount0Out, amount1Out, trader) {
+  return {
+    amount0: amount0In - amount0Out,
+    amount1: amount1In - amount1Out,
+    sqrtPriceX96: null,
+    trader
+  };
+}
+
+const uniswapV2 = {
+  dex: 'uniswap-v2',
+
+  findPoolCalls(deployment, tokenAddress, quoteAddress) {
+    const [token0, token1] = sortAddresses(tokenAddress, quoteAddress);
+    return {
+      calls: [call(deployment.factory, V2_FACTORY_ABI, 'getPair', [tokenAddress, quoteAddress])],
+      decode: ([address]) => isZeroAddress(address)
+        ? []
+        : [{ dex: this.dex, address: address.toLowerCase(), token0, token1, fee: 3000 }]
+    };
+  },
+
+  stateCalls(pool) {
+    return [call(pool.address, V2_PAIR_ABI, 'getReserves')];
+  },
+
+  decodeState([reserves]) {
+    return { reserve0: reserves[0], reserve1: reserves[1] };
+  },
+
+  getSwapSubscription(provider, pool) {
+    return {
+      contract: new ethers.Contract(pool.address, V2_PAIR_ABI, provider),
+      filter: 'Swap'
+    };
+  },
+
+  normalizeSwap(args) {
+    const [, amount0In, amount1In, amount0Out, amount1Out, to] = args;
+    return normalizeV2Swap(amount0In, amount1In, amount0Out, amount1Out, to);
+  },
+
+  getLiquiditySubscription(provider, pool) {
+    return {
+      contract: new ethers.Contract(pool.address, V2_PAIR_ABI, provider),
+      filters: ['Mint', 'Burn']
+    };
+  },
+
+  getPoolCreatedSubscription(provider, deployment) {
+    return {
+      contract: new ethers.Contract(deployment.factory, V2_FACTORY_ABI, provider),
+      filter: 'PairCreated'
+    };
+  },
+
+  decodePoolCreated(args) {
+    const [token0, token1, pair] = args;
+    return { dex: this.dex, address: pair.toLowerCase(), token0: token0.toLowerCase(), token1: token1.toLowerCase(), fee: 3000 };
+  }
+};
+
+const V3_FEE_TIERS = [100, 500, 3000, 10000];
+
+const uniswapV3 = {
+  dex: 'uniswap-v3',
+
+  findPoolCalls(deployment, tokenAddress, quoteAddress) {
+    const [token0, token1] = sortAddresses(tokenAddress, quoteAddress);
+    return {
+      calls: V3_FEE_TIERS.map(fee => call(deployment.factory, V3_FACTORY_ABI, 'getPool', [tokenAddress, quoteAddress, fee])),
+      decode: (addresses) => addresses
+        .map((address, index) => ({ address, fee: V3_FEE_TIERS[index] }))
+        .filter(({ address }) => !isZeroAddress(address))
+        .map(({ address, fee }) => ({ dex: this.dex, address: address.toLowerCase(), token0, token1, fee }))
+    };
+  },
+
+  stateCalls(pool) {
+    return [
+      call(pool.address, V3_POOL_ABI, 'slot0'),
+      call(pool.address, V3_POOL_ABI, 'liquidity')
+    ];
+  },
+
+  decodeState([slot0, liquidity]) {
+    return {
+      sqrtPriceX96: slot0[0],
+      observationCardinality: Number(slot0[3]),
+      liquidity,
+      ...concentratedReserves(slot0[0], liquidity)
+    };
+  },
+
+  twapCalls(pool, windowSeconds) {
+    return [call(pool.address, V3_POOL_ABI, 'observe', [[windowSeconds, 0]])];
+  },
+
+  // Time-weighted price of token0 in token1 from the pool's oracle observations,
+  // or null when the pool does not keep enough history for the window.
+  // observe() reverts with OLD when the oldest observation is younger than the window.
+  decodeTwapRatio(state, [observeResult], windowSeconds, minCardinality) {
+    if (state.observationCardinality < minCardinality || !observeResult.success) {
+      return null;
+    }
+
+    const [tickCumulatives] = observeResult.value;
+    const averageTick = Number((tickCumulatives[1] - tickCumulatives[0]) / BigInt(windowSeconds));
+    return 1.0001 ** averageTick;
+  },
+
+  getSwapSubscription(provider, pool) {
+    return {
+      contract: new ethers.Contract(pool.address, V3_POOL_ABI, provider),
+      filter: 'Swap'
+    };
+  },
+
+  normalizeSwap(args) {
+    const [, recipient, amount0, amount1, sqrtPriceX96, liquidity] = args;
+    return { amount0, amount1, sqrtPriceX96, liquidity, trader: recipient };
+  },
+
+  getLiquiditySubscription(provider, pool) {
+    return {
+      contract: new ethers.Contract(pool.address, V3_POOL_ABI, provider),
+      filters: ['Mint', 'Burn']
+    };
+  },
+
+  // The pool holds its own tokens, so its balances are the full reserves, not just the in-range part
+  reserveCalls(pool) {
+    return [
+      call(pool.token0, ERC20_ABI, 'balanceOf', [pool.address]),
+      call(pool.token1, ERC20_ABI, 'balanceOf', [pool.address])
+    ];
+  },
+
+  decodeReserves([balance0, balance1]) {
+    return { reserve0: balance0, reserve1: balance1 };
+  },
+
+  getPoolCreatedSubscription(provider, deployment) {
+    return {
+      contract: new ethers.Contract(deployment.factory, V3_FACTORY_ABI, provider),
+      filter: 'PoolCreated'
+    };
+  },
+
+  decodePoolCreated(args) {
+    const [token0, token1, fee, tickSpacing, pool] = args;
+    return {
+      dex: this.dex,
+      address: pool.toLowerCase(),
+      token0: token0.toLowerCase(),
+      token1: token1.toLowerCase(),
+      fee: Number(fee),
+      tickSpacing: Number(tickSpacing)
+    };
+  }
+};
+
+const uniswapV4 = {
+  dex: 'uniswap-v4',
+
+  // V4 pools live inside the PoolManager and are identified by the hash of their PoolKey
+  poolId(currency0, currency1, fee, tickSpacing, hooks = ethers.ZeroAddress) {
+    return ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+      ['address', 'address', 'uint24', 'int24', 'address'],
+      [currency0, currency1, fee, tickSpacing, hooks]
+    ));
+  },
+
+  findPoolCalls(deployment, tokenAddress, quoteAddress, { wrappedNative } = {}) {
+    // Most V4 pools pair against native ETH rather than WETH
+    const quoteCurrencies = [quoteAddress];
+    if (wrappedNative && quoteAddress.toLowerCase() === wrappedNative.toLowerCase()) {
+      quoteCurrencies.push(ethers.ZeroAddress);
+    }
+
+    const candidates = [];
+    for (const currency of quoteCurrencies) {
+      const [token0, token1] = sortAddresses(tokenAddress, currency);
+      for (const { fee, tickSpacing } of V4_POOL_PARAMS) {
+        const id = this.poolId(token0, token1, fee, tickSpacing);
+        candidates.push({ dex: this.dex, address: id, token0, token1, fee, tickSpacing, hooks: ethers.ZeroAddress });
+      }
+    }
+
+    return {
+      calls: candidates.map(pool => call(deployment.stateView, V4_STATE_VIEW_ABI, 'getSlot0', [pool.address])),
+      // Uninitialized pools report a zero price
+      decode: (slot0s) => candidates.filter((pool, index) => slot0s[index] && slot0s[index][0] > 0n)
+    };
+  },
+
+  stateCalls(pool) {
+    const { stateView } = getDeployment(pool);
+    return [
+      call(stateView, V4_STATE_VIEW_ABI, 'getSlot0', [pool.address]),
+      call(stateView, V4_STATE_VIEW_ABI, 'getLiquidity', [pool.address])
+    ];
+  },
+
+  decodeState([slot0, liquidity]) {
+    return { sqrtPriceX96: slot0[0], liquidity, ...concentratedReserves(slot0[0], liquidity) };
+  },
+
+  getSwapSubscription(provider, pool) {
+    const contract = new ethers.Contract(getDeployment(pool).poolManager, V4_POOL_MANAGER_ABI, provider);
+    return { contract, filter: contract.filters.Swap(pool.address) };
+  },
+
+  normalizeSwap(args) {
+    // V4 emits the swapper's balance delta, so flip the signs to get the pool's side
+    const [, sender, amount0, amount1, sqrtPriceX96, liquidity] = args;
+    return { amount0: -amount0, amount1: -amount1, sqrtPriceX96, liquidity, trader: sender };
+  },
+
+  // Balances of all V4 pools sit in the PoolManager; reserves are the in-range virtual reserves
+  getLiquiditySubscription(provider, pool) {
+    const contract = new ethers.Contract(getDeployment(pool).poolManager, V4_POOL_MANAGER_ABI, provider);
+    return { contract, filters: [contract.filters.ModifyLiquidity(pool.address)] };
+  },
+
+  // V4 has no factory; pools come into existence when the PoolManager initializes them
+  getPoolCreatedSubscription(provider, deployment) {
+    return {
+      contract: new ethers.Contract(deployment.poolManager, V4_POOL_MANAGER_ABI, provider),
+      filter: 'Initialize'
+    };
+  },
+
+  decodePoolCreated(args) {
+    const [id, currency0, currency1, fee, tickSpacing, hooks] = args;
+    return {
+      dex: this.dex,
+      address: id,
+      token0: currency0.toLowerCase(),
+      token1: currency1.toLowerCase(),
+      fee: Number(fee),
+      tickSpacing: Number(tickSpacing),
+      hooks: hooks.toLowerCase()
+    };
+  }
+};
+
+const aerodrome = {
+  dex: 'aerodrome',
+
+  findPoolCalls(deployment, tokenAddress, quoteAddress) {
+    const [token0, token1] = sortAddresses(tokenAddress, quoteAddress);
+    const variants = [false, true];
+    return {
+      calls: variants.map(stable => call(deployment.factory, AERODROME_FACTORY_ABI, 'getPool', [tokenAddress, quoteAddress, stable])),
+      decode: (addresses) => addresses
+        .map((address, index) => ({ address, stable: variants[index] }))
+        .filter(({ address }) => !isZeroAddress(address))
+        .map(({ address, stable }) => ({ dex: this.dex, address: address.toLowerCase(), token0, token1, stable }))
+    };
+  },
+
+  stateCalls(pool) {
+    return [call(pool.address, AERODROME_POOL_ABI, 'getReserves')];
+  },
+
+  decodeState([reserves]) {
+    return { reserve0: reserves[0], reserve1: reserves[1] };
+  },
+
+  getSwapSubscription(provider, pool) {
+    return {
+      contract: new ethers.Contract(pool.address, AERODROME_POOL_ABI, provider),
+      filter: 'Swap'
+    };
+  },
+
+  normalizeSwap(args) {
+    const [, to, amount0In, amount1In, amount0Out, amount1Out] = args;
+    return normalizeV2Swap(amount0In, amount1In, amount0Out, amount1Out, to);
+  },
+
+  getLiquiditySubscription(provider, pool) {
+    return {
+      contract: new ethers.Contract(pool.address, AERODROME_POOL_ABI, provider),
+      filters: ['Mint', 'Burn']
+    };
+  },
+
+  getPoolCreatedSubscription(provider, deployment) {
+    return {
+      contract: new ethers.Contract(deployment.factory, AERODROME_FACTORY_ABI, provider),
+      filter: 'PoolCreated'
+    };
+  },
+
+  decodePoolCreated(args) {
+    const [token0, token1, stable, pool] = args;
+    return { dex: this.dex, address: pool.toLowerCase(), token0: token0.toLowerCase(), token1: token1.toLowerCase(), stable };
+  }
+};
+
+// Velodrome V2 on Optimism is the same Solidly fork as Aerodrome
+const velodrome = { ...aerodrome, dex: 'velodrome' };
+
+const ADAPTERS = {
+  [uniswapV2.dex]: uniswapV2,
+  [uniswapV3.dex]: uniswapV3,
+  [uniswapV4.dex]: uniswapV4,
+  [aerodrome.dex]: aerodrome,
+  [velodrome.dex]: velodrome
+};
+
+function getAdapter(dex) {
+  const adapter = ADAPTERS[dex];
+  if (!adapter) {
+    throw new Error(`Unsupported DEX: ${dex}`);
+  }
+  return adapter;
+}
+
+// Look up pools for many (token, quote) pairs on every DEX deployed on the chain, in one
+// multicall. Failed factory calls count as "no pool".
+async function findPools(provider, chainId, pairs) {
+  const chain = getChain(chainId);
+  const options = { wrappedNative: chain.wrappedNative };
+
+  const lookups = [];
+  for (const { tokenAddress, quoteAddress } of pairs) {
+    for (const [dex, deployment] of Object.entries(chain.dexes)) {
+      const calls = getAdapter(dex).findPoolCalls(deployment, tokenAddress, quoteAddress, options);
+      lookups.push({ tokenAddress, quoteAddress, ...calls });
+    }
+  }
+
+  const results = await multicall(provider, lookups.flatMap(lookup => lookup.calls));
+
+  const pools = [];
+  let offset = 0;
+  for (const lookup of lookups) {
+    const values = results.slice(offset, offset + lookup.calls.length)
+      .map(result => (result.success ? result.value : null));
+    offset += lookup.calls.length;
+
+    for (const pool of lookup.decode(values)) {
+      pools.push({
+        ...pool,
+        chain: chain.id,
+        tokenAddress: lookup.tokenAddress.toLowerCase(),
+        quoteAddress: lookup.quoteAddress.toLowerCase()
+      });
+    }
+  }
+  return pools;
+}
+
+// Decode a pool's state from the multicall results of its stateCalls()
+function decodeStateResults(pool, results) {
+  const adapter = getAdapter(pool.dex);
+  if (results.some(result => !result.success)) {
+    throw new Error(`Failed to read ${pool.dex} pool ${pool.address}`);
+  }
+  return adapter.decodeState(results.map(result => result.value));
+}
+
+// Current state of many pools in one multicall; null for pools whose reads failed
+async function readPoolStates(provider, pools) {
+  const callSets = pools.map(pool => getAdapter(pool.dex).stateCalls(pool));
+  const results = await multicall(provider, callSets.flat());
+
+  let offset = 0;
+  return callSets.map((calls, index) => {
+    const slice = results.slice(offset, offset + calls.length);
+    offset += calls.length;
+    try {
+      return decodeStateResults(pools[index], slice);
+    } catch (error) {
+      return null;
+    }
+  });
+}
+
+// Reserves of many pools in one multicall: the pool's token balances where the adapter can
+// read them (reserveCalls), its state reserves otherwise. Null for pools whose reads failed.
+async function readPoolReserves(provider, pools) {
+  const callSets = pools.map(pool => {
+    const adapter = getAdapter(pool.dex);
+    return adapter.reserveCalls ? adapter.reserveCalls(pool) : adapter.stateCalls(pool);
+  });
+  const results = await multicall(provider, callSets.flat());
+
+  let offset = 0;
+  return callSets.map((calls, index) => {
+    const slice = results.slice(offset, offset + calls.length);
+    offset += calls.length;
+
+    const adapter = getAdapter(pools[index].dex);
+    if (!adapter.reserveCalls) {
+      try {
+        return decodeStateResults(pools[index], slice);
+      } catch (error) {
+        return null;
+      }
+    }
+    if (slice.some(result => !result.success)) {
+      return null;
+    }
+    return adapter.decodeReserves(slice.map(result => result.value));
+  });
+}
+
+async function readPoolState(provider, pool) {
+  const [state] = await readPoolStates(provider, [pool]);
+  if (!state) {
+    throw new Error(`Failed to read ${pool.dex} pool ${pool.address}`);
+  }
+  return state;
+}
+
+// Fixed-point price of token0 in token1, in whole tokens (see fixedPoint)
+function getPrice(pool, state, decimals0, decimals1) {
+  if (state.sqrtPriceX96) {
+    return fixedPoint.priceFromSqrtPriceX96(state.sqrtPriceX96, decimals0, decimals1);
+  }
+
+  if (!state.reserve0 || !state.reserve1) {
+    return 0n;
+  }
+
+  if (pool.stable) {
+    return fixedPoint.stablePriceFromReserves(state.reserve0, state.reserve1, decimals0, decimals1);
+  }
+
+  return fixedPoint.priceFromAmounts(state.reserve0, state.reserve1, decimals0, decimals1);
+}
+
+function isTokenToken0(pool) {
+  return pool.token0 === pool.tokenAddress.toLowerCase();
+}
+
+// Orient a raw token0-in-token1 ratio (a float, e.g. from oracle ticks) so it prices the
+// tracked token in the quote asset; decimals are left to the caller
+function orientRatio(pool, ratio) {
+  if (!ratio) {
+    return 0;
+  }
+  return isTokenToken0(pool) ? ratio : 1 / ratio;
+}
+
+// Fixed-point price of the tracked token in whole units of the pool's quote asset
+function getTokenPriceInQuote(pool, state, tokenDecimals, quoteDecimals) {
+  return isTokenToken0(pool)
+    ? getPrice(pool, state, tokenDecimals, quoteDecimals)
+    : fixedPoint.invert(getPrice(pool, state, quoteDecimals, tokenDecimals));
+}
+
+// Raw reserves of the tracked token and the quote asset around the current price
+function getReserves(pool, state) {
+  const reserve0 = state.reserve0 || 0n;
+  const reserve1 = state.reserve1 || 0n;
+  return isTokenToken0(pool)
+    ? { tokenReserve: reserve0, quoteReserve: reserve1 }
+    : { tokenReserve: reserve1, quoteReserve: reserve0 };
+}
+
+// Signed swap amounts (pool side) split into the tracked token and the quote asset
+function getSwapAmounts(pool, swap) {
+  return isTokenToken0(pool)
+    ? { tokenAmount: swap.amount0, quoteAmount: swap.amount1 }
+    : { tokenAmount: swap.amount1, quoteAmount: swap.amount0 };
+}
+
+// Fixed-point price of the tracked token in the quote asset implied by a single swap:
+// the post-swap pool price where the event carries it, otherwise the execution price
+function getSwapPriceInQuote(pool, swap, tokenDecimals, quoteDecimals) {
+  if (swap.sqrtPriceX96) {
+    return getTokenPriceInQuote(pool, { sqrtPriceX96: swap.sqrtPriceX96 }, tokenDecimals, quoteDecimals);
+  }
+
+  const { tokenAmount, quoteAmount } = getSwapAmounts(pool, swap);
+  return fixedPoint.priceFromAmounts(tokenAmount, quoteAmount, tokenDecimals, quoteDecimals);
+}
+
+module.exports = {
+  ADAPTERS,
+  getAdapter,
+  findPools,
+  decodeStateResults,
+  readPoolStates,
+  readPoolState,
+  readPoolReserves,
+  getPrice,
+  orientRatio,
+  getTokenPriceInQuote,
+  getReserves,
+  getSwapAmounts,
+  getSwapPriceInQuote,
+  isTokenToken0,
+  sortAddresses
+};
@@ -0,0 +1,108 @@
+// services/fixedPoint.js
+// Decimal-exact math on raw on-chain integers. Prices are BigInts with PRICE_DECIMALS
+// digits after the point, in human units (already adjusted for both tokens' decimals),
+// and only become JS numbers at the end, for storage and display.
+const { ethers } = require('ethers');
+
+const PRICE_DECIMALS = 36;
+const SCALE = 10n ** BigInt(PRICE_DECIMALS);
+const Q192 = 2n ** 192n;
+
+function pow10(decimals) {
+  return 10n ** BigInt(decimals);
+}
+
+function abs(value) {
+  return value < 0n ? -value : value;
+}
+
+// Exact BigInt of a decimal number or string (plain or exponent form, e.g. Decimal128
+// output or "1.5e-7"), shifted left by `decimals` digits. Digits beyond that are truncated.
+function parseDecimal(value, decimals = 0) {
+  const [mantissa, exponent = '0'] = value.toString().split(/e/i);
+  const [whole, fraction = ''] = mantissa.split('.');
+  const scale = parseInt(exponent) + decimals - fraction.length;
+  const digits = BigInt(whole + fraction);
+  return scale >= 0 ? digits * pow10(scale) : digits / pow10(-scale);
+}
+
+// Fixed-point price of a JS number, e.g. a USD price from a provider
+function fromNumber(value) {
+  return Number.isFinite(value) ? parseDecimal(value, PRICE_DECIMALS) : 0n;
+}
+
+function toNumber(price) {
+  return Number(ethers.formatUnits(price, PRICE_DECIMALS));
+}
+
+function mul(a, b) {
+  return (a * b) / SCALE;
+}
+
+// Price of the other side of a pair; zero stays zero
+function invert(price) {
+  return price > 0n ? (SCALE * SCALE) / price : 0n;
+}
+
+// Price of token0 in token1 from a concentrated-liquidity pool's sqrtPriceX96:
+// (sqrtPriceX96 / 2^96)^2 raw token1 per raw token0, times 10^(decimals0 - decimals1)
+function priceFromSqrtPriceX96(sqrtPriceX96, decimals0, decimals1) {
+  const sqrtPrice = BigInt(sqrtPriceX96);
+  return (sqrtPrice * sqrtPrice * SCALE * pow10(decimals0)) / (Q192 * pow10(decimals1));
+}
+
+// Price of token0 in token1 from raw amounts of each, e.g. reserves or a swap's legs
+function priceFromAmounts(amount0, amount1, decimals0, decimals1) {
+  const raw0 = abs(BigInt(amount0));
+  if (raw0 === 0n) {
+    return 0n;
+  }
+  return (abs(BigInt(amount1)) * SCALE * pow10(decimals0)) / (raw0 * pow10(decimals1));
+}
+
+// Marginal price of token0 in token1 on the x^3y + xy^3 curve of stable pools, with both
+// reserves normalized to 18 decimals as the pools themselves do
+function stablePriceFromReserves(reserve0, reserve1, decimals0, decimals1) {
+  const x = (BigInt(reserve0) * pow10(18)) / pow10(decimals0);
+  const y = (BigInt(reserve1) * pow10(18)) / pow10(decimals1);
+  const denominator = x * x * x + 3n * x * y * y;
+  if (denominator === 0n) {
+    return 0n;
+  }
+  return ((3n * x * x * y + y * y * y) * SCALE) / denominator;
+}
+
+// A raw amount in whole tokens, as an exact decimal string
+function formatAmount(raw, decimals) {
+  return ethers.formatUnits(BigInt(raw), decimals);
+}
+
+// USD value of a raw token amount at a USD price, e.g. market cap from the raw total supply
+function valueUsd(priceUsd, raw, decimals) {
+  return toNumber((fromNumber(priceUsd) * BigInt(raw)) / pow10(decimals));
+}
+
+// Share of `total` held in `part`, in percent, both raw amounts of the same token
+function percentage(part, total) {
+  const whole = BigInt(total);
+  if (whole <= 0n) {
+    return null;
+  }
+  return Number((BigInt(part) * 1000000n) / whole) / 10000;
+}
+
+module.exports = {
+  PRICE_DECIMALS,
+  SCALE,
+  parseDecimal,
+  fromNumber,
+  toNumber,
+  mul,
+  invert,
+  priceFromSqrtPriceX96,
+  priceFromAmounts,
+  stablePriceFromReserves,
+  formatAmount,
+  valueUsd,
+  percentage
+};
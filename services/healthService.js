@@ -0,0 +1,97 @@
+// services/healthService.js
+const mongoose = require('mongoose');
+const providerManager = require('./providerManager');
+const { getEnabledChains } = require('./chains');
+const { lastSwapProcessed } = require('./metrics');
+
+// A socket counts as live while its last successful heartbeat is at most this old
+const HEARTBEAT_STALE_MS = 3 * (parseInt(process.env.HEARTBEAT_INTERVAL_MS) || 15000);
+
+// Going this long without storing a swap marks a chain degraded. It does not make the
+// service unready: a quiet market and a broken subscription look the same from here.
+const SWAP_STALE_SECONDS = parseInt(process.env.SWAP_STALE_SECONDS) || 900;
+
+const MONGO_PING_TIMEOUT = 2000;
+
+async function checkMongo() {
+  const state = mongoose.STATES[mongoose.connection.readyState];
+  if (mongoose.connection.readyState !== 1) {
+    return { ok: false, state };
+  }
+
+  const start = Date.now();
+  let timer;
+  try {
+    await Promise.race([
+      mongoose.connection.db.admin().ping(),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error('Ping timeout')), MONGO_PING_TIMEOUT);
+      })
+    ]);
+    return { ok: true, state, latencyMs: Date.now() - start };
+  } catch (error) {
+    return { ok: false, state, error: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function checkChain(chain, status, now) {
+  const lastHeartbeat = status ? status.lastHeartbeat : null;
+  const heartbeatAge = lastHeartbeat ? now - lastHeartbeat.getTime() : null;
+  const live = Boolean(status && status.connected && heartbeatAge !== null && heartbeatAge <= HEARTBEAT_STALE_MS);
+
+  const lastSwap = lastSwapProcessed(chain);
+  const secondsSinceLastSwap = lastSwap ? Math.round(now / 1000 - lastSwap) : null;
+
+  return {
+    chain,
+    websocket: {
+      started: Boolean(status),
+      connected: Boolean(status && status.connected),
+      live,
+      usingFallback: Boolean(status && status.usingFallback),
+      reconnectAttempts: status ? status.reconnectAttempts : 0,
+      lastHeartbeat,
+      heartbeatAgeSeconds: heartbeatAge === null ? null : Math.round(heartbeatAge / 1000)
+    },
+    latestBlock: status ? status.latestBlock : null,
+    // Null until a swap is stored after this process started
+    lastSwapProcessedAt: lastSwap ? new Date(lastSwap * 1000) : null,
+    secondsSinceLastSwap,
+    swapsStale: secondsSinceLastSwap === null || secondsSinceLastSwap > SWAP_STALE_SECONDS
+  };
+}
+
+// Status of the service's dependencies. 'down' when Mongo is unreachable, 'degraded'
+// when a chain's socket is not live or it has not stored a swap recently.
+async function getHealth(chains = getEnabledChains()) {
+  const now = Date.now();
+  const mongo = await checkMongo();
+  const statuses = new Map(providerManager.getStatus().map(status => [status.chain, status]));
+  const chainChecks = chains.map(chain => checkChain(chain, statuses.get(chain), now));
+
+  let status = 'ok';
+  if (!mongo.ok) {
+    status = 'down';
+  } else if (chainChecks.some(check => !check.websocket.live || check.swapsStale)) {
+    status = 'degraded';
+  }
+
+  return {
+    status,
+    // Ready to serve: the database answers and every chain's socket is live
+    ready: mongo.ok && chainChecks.every(check => check.websocket.live),
+    uptimeSeconds: Math.round(process.uptime()),
+    checks: {
+      mongo,
+      chains: chainChecks
+    }
+  };
+}
+
+module.exports = {
+  HEARTBEAT_STALE_MS,
+  SWAP_STALE_SECONDS,
+  getHealth
+};
@@ -0,0 +1,279 @@
+// services/holderIndexer.js
+const { ethers } = require('ethers');
+const mongoose = require('mongoose');
+const Holder = require('../models/Holder');
+const Token = require('../models/Token');
+const TokenDiscovery = require('./tokenDiscovery');
+const { percentage } = require('./fixedPoint');
+
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+
+// Balances sent here are gone for good; they are labelled, and left out of holder stats
+const BURN_ADDRESSES = [
+  ethers.ZeroAddress,
+  '0x000000000000000000000000000000000000dead'
+];
+
+// Transfers arrive in bursts; sync a token at most once per delay
+const SYNC_DELAY = parseInt(process.env.HOLDER_SYNC_DELAY_MS) || 5000;
+
+const TOP_HOLDERS = 10;
+
+// Provider errors that mean "too many logs for one request"; the range is split and retried
+const LOG_LIMIT_ERROR = /more than \d+ results|too many (results|logs)|limit exceeded|response size|range is too (large|wide)|exceed(s|ed)? maximum block range/i;
+
+function isLogLimitError(error) {
+  const messages = [error.message, error.error?.message, error.info?.error?.message];
+  return messages.some(message => message && LOG_LIMIT_ERROR.test(message));
+}
+
+function topicToAddress(topic) {
+  return ethers.getAddress(ethers.dataSlice(topic, 12)).toLowerCase();
+}
+
+// Balances are stored as base-10 strings zero-padded to the width of a uint256, so that
+// they stay exact and sort as numbers
+const BALANCE_DIGITS = 78;
+
+function formatBalance(balance) {
+  return balance.toString().padStart(BALANCE_DIGITS, '0');
+}
+
+function parseBalance(stored) {
+  return BigInt(stored);
+}
+
+// Builds per-holder balances from a token's Transfer logs. Each token has a block checkpoint
+// (holders_indexed_block); a sync applies every whole block after it, so live events only
+// need to trigger a sync, never apply a log themselves. Balances are incremented, so each
+// chunk is applied in the same transaction that moves the checkpoint from the value the
+// sync read: a crashed chunk leaves nothing behind, and a concurrent sync of the same token
+// (another process, or a backfill script) loses the claim and stops instead of counting twice.
+class HolderIndexer {
+  // `provider` is a provider, or a function returning the provider to use for each call
+  constructor(provider, options = {}) {
+    this.providerSource = provider;
+    this.chunkSize = options.chunkSize || parseInt(process.env.INDEXER_CHUNK_SIZE) || 2000;
+
+    // One sync per token at a time; later requests wait for the running one
+    this.syncs = new Map();
+    this.pendingSyncs = new Map();
+  }
+
+  get provider() {
+    return typeof this.providerSource === 'function' ? this.providerSource() : this.providerSource;
+  }
+
+  scheduleSync(token) {
+    const key = `${token.chain}:${token.contractAddress.toLowerCase()}`;
+    if (this.pendingSyncs.has(key)) {
+      return;
+    }
+
+    this.pendingSyncs.set(key, setTimeout(() => {
+      this.pendingSyncs.delete(key);
+      this.sync(token).catch(error => {
+        console.error(`Error syncing holders of ${token.symbol}:`, error);
+      });
+    }, SYNC_DELAY));
+  }
+
+  cancelSync(token) {
+    const key = `${token.chain}:${token.contractAddress.toLowerCase()}`;
+    clearTimeout(this.pendingSyncs.get(key));
+    this.pendingSyncs.delete(key);
+  }
+
+  // Index transfers up to the chain head, starting from the token's creation block the first time
+  async sync(token) {
+    const key = `${token.chain}:${token.contractAddress.toLowerCase()}`;
+    const previous = this.syncs.get(key) || Promise.resolve();
+    const current = previous.catch(() => {}).then(() => this.runSync(token));
+
+    this.syncs.set(key, current);
+    try {
+      return await current;
+    } finally {
+      if (this.syncs.get(key) === current) {
+        this.syncs.delete(key);
+      }
+    }
+  }
+
+  async runSync(token) {
+    const chain = token.chain;
+    const address = token.contractAddress.toLowerCase();
+    const stored = await Token.findOne({ chain, contractAddress: address })
+      .select('symbol blockNumber holders_indexed_block')
+      .lean();
+    if (!stored) {
+      return 0;
+    }
+
+    const latest = await this.provider.getBlockNumber();
+    let fromBlock = stored.holders_indexed_block + 1;
+    if (!stored.holders_indexed_block) {
+      fromBlock = stored.blockNumber || await this.resolveCreationBlock(chain, address, latest);
+      console.log(`Backfilling holders of ${stored.symbol} from block ${fromBlock}`);
+    }
+    if (fromBlock > latest) {
+      return 0;
+    }
+
+    let transfers = 0;
+    let checkpoint = stored.holders_indexed_block ?? null;
+    for (let start = fromBlock; start <= latest; start += this.chunkSize) {
+      const end = Math.min(start + this.chunkSize - 1, latest);
+      const logs = await this.getTransferLogs(address, start, end);
+
+      let claimed = false;
+      let applied = 0;
+      await mongoose.connection.transaction(async (session) => {
+        claimed = false;
+        const claim = await Token.updateOne(
+          { chain, contractAddress: address, holders_indexed_block: checkpoint },
+          { $set: { holders_indexed_block: end } },
+          { session }
+        );
+        if (claim.matchedCount === 0) {
+          return;
+        }
+        applied = await this.applyTransfers(chain, address, logs, session);
+        claimed = true;
+      });
+
+      if (!claimed) {
+        console.warn(`Holders of ${stored.symbol} were indexed past block ${checkpoint} by another sync; stopping`);
+        break;
+      }
+      transfers += applied;
+      checkpoint = end;
+    }
+
+    if (transfers > 0 || !stored.holders_indexed_block) {
+      await this.updateHolderStats(chain, address);
+    }
+    return transfers;
+  }
+
+  // Transfer logs of [fromBlock, toBlock], halving the range while the provider refuses it as too large
+  async getTransferLogs(address, fromBlock, toBlock) {
+    try {
+      return await this.provider.getLogs({ address, topics: [TRANSFER_TOPIC], fromBlock, toBlock });
+    } catch (error) {
+      if (fromBlock === toBlock || !isLogLimitError(error)) {
+        throw error;
+      }
+      const middle = Math.floor((fromBlock + toBlock) / 2);
+      const first = await this.getTransferLogs(address, fromBlock, middle);
+      const second = await this.getTransferLogs(address, middle + 1, toBlock);
+      return [...first, ...second];
+    }
+  }
+
+  // Tokens inserted before creation blocks were recorded have blockNumber 0
+  async resolveCreationBlock(chain, address, latest) {
+    const blockNumber = await TokenDiscovery.findCreationBlock(this.provider, address, latest);
+    await Token.updateOne({ chain, contractAddress: address }, { $set: { blockNumber } });
+    return blockNumber;
+  }
+
+  // Net balance changes of a batch of logs, written in one bulk update
+  async applyTransfers(chain, tokenAddress, logs, session = null) {
+    const deltas = new Map();
+    const lastBlocks = new Map();
+    let applied = 0;
+
+    const addDelta = (holder, amount, blockNumber) => {
+      deltas.set(holder, (deltas.get(holder) || 0n) + amount);
+      lastBlocks.set(holder, blockNumber);
+    };
+
+    for (const log of logs) {
+      // ERC-721 style transfers index the amount too; they are not fungible balances
+      if (log.topics.length !== 3) continue;
+
+      const from = topicToAddress(log.topics[1]);
+      const to = topicToAddress(log.topics[2]);
+      const value = BigInt(log.data);
+
+      if (from !== ethers.ZeroAddress) addDelta(from, -value, log.blockNumber);
+      if (to !== ethers.ZeroAddress) addDelta(to, value, log.blockNumber);
+      applied++;
+    }
+
+    if (deltas.size === 0) {
+      return applied;
+    }
+
+    // Balances are read and written back whole; the chunk's transaction keeps that safe
+    const stored = await Holder.find({ chain, tokenAddress, address: { $in: [...deltas.keys()] } })
+      .select('address balance')
+      .session(session)
+      .lean();
+    const balances = new Map(stored.map(holder => [holder.address, parseBalance(holder.balance)]));
+
+    const operations = [];
+    for (const [holder, delta] of deltas) {
+      if (delta === 0n) continue;
+      const filter = { chain, tokenAddress, address: holder };
+      const balance = (balances.get(holder) || 0n) + delta;
+      if (balance <= 0n) {
+        operations.push({ deleteOne: { filter } });
+        continue;
+      }
+      operations.push({
+        updateOne: {
+          filter,
+          update: {
+            $set: { balance: formatBalance(balance) },
+            $max: { last_block: lastBlocks.get(holder) }
+          },
+          upsert: true
+        }
+      });
+    }
+
+    if (operations.length > 0) {
+      await Holder.bulkWrite(operations, { ordered: false, session });
+    }
+    return applied;
+  }
+
+  // Holder count and the share of circulating supply (everything not burned) held by the top 10.
+  // Only positive balances are stored. The total is summed here, exactly, not by Mongo.
+  async updateHolderStats(chain, tokenAddress) {
+    const match = { chain, tokenAddress, address: { $nin: BURN_ADDRESSES } };
+
+    const [count, top] = await Promise.all([
+      Holder.countDocuments(match),
+      Holder.find(match).sort({ balance: -1 }).limit(TOP_HOLDERS).select('balance').lean()
+    ]);
+
+    let circulating = 0n;
+    for await (const holder of Holder.find(match).select('balance').lean().cursor()) {
+      circulating += parseBalance(holder.balance);
+    }
+    const topBalance = top.reduce((total, holder) => total + parseBalance(holder.balance), 0n);
+    const concentration = percentage(topBalance, circulating) ?? 0;
+
+    await Token.updateOne(
+      { chain, contractAddress: tokenAddress },
+      {
+        $set: {
+          holder_count: count,
+          top10_holder_percentage: concentration,
+          holders_updated: new Date()
+        }
+      }
+    );
+  }
+}
+
+module.exports = {
+  BURN_ADDRESSES,
+  TRANSFER_TOPIC,
+  formatBalance,
+  parseBalance,
+  HolderIndexer
+};
@@ -0,0 +1,98 @@
+// services/holderService.js
+const { ethers } = require('ethers');
+const Holder = require('../models/Holder');
+const Pool = require('../models/Pool');
+const Token = require('../models/Token');
+const { getChain } = require('./chains');
+const { BURN_ADDRESSES, parseBalance } = require('./holderIndexer');
+const { percentage } = require('./fixedPoint');
+
+const MAX_PAGE_SIZE = 100;
+
+// Addresses worth calling out in a holder list: liquidity pools (V4 liquidity sits in the
+// PoolManager), burn addresses, the deployer and the token contract itself
+async function getAddressLabels(chain, token) {
+  const labels = new Map();
+
+  const pools = await Pool.find({ chain, tokenAddress: token.contractAddress }).select('address').lean();
+  for (const pool of pools) {
+    labels.set(pool.address, 'pool');
+  }
+  if (token.pool_address) {
+    labels.set(token.pool_address.toLowerCase(), 'pool');
+  }
+  const poolManager = getChain(chain).dexes['uniswap-v4']?.poolManager;
+  if (poolManager) {
+    labels.set(poolManager.toLowerCase(), 'pool');
+  }
+
+  for (const address of BURN_ADDRESSES) {
+    labels.set(address, 'burn');
+  }
+  if (token.deployer && token.deployer !== ethers.ZeroAddress) {
+    labels.set(token.deployer.toLowerCase(), 'deployer');
+  }
+  labels.set(token.contractAddress, 'contract');
+
+  return labels;
+}
+
+// Largest holders of a token, with balances as exact raw strings and in token units.
+// Null when the token is unknown.
+async function getHolders(chain, tokenAddress, { page = 1, limit = 50 } = {}) {
+  const address = tokenAddress.toLowerCase();
+  const pageSize = Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+  const pageNumber = Math.max(page, 1);
+
+  const token = await Token.findOne({ chain, contractAddress: address })
+    .select('contractAddress symbol decimals deployer total_supply total_supply_raw pool_address holder_count top10_holder_percentage holders_indexed_block holders_updated')
+    .lean();
+  if (!token) {
+    return null;
+  }
+
+  const [holders, labels] = await Promise.all([
+    Holder.find({ chain, tokenAddress: address })
+      .sort({ balance: -1, address: 1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize + 1)
+      .lean(),
+    getAddressLabels(chain, token)
+  ]);
+
+  const decimals = token.decimals ?? 18;
+  const supply = token.total_supply || 0;
+
+  // Exact against the raw supply; float math only for supplies a provider reported
+  const supplyShare = (balance, amount) => token.total_supply_raw
+    ? percentage(balance, token.total_supply_raw)
+    : (supply > 0 ? (amount / (supply / 10 ** decimals)) * 100 : null);
+
+  return {
+    holderCount: token.holder_count,
+    top10Percentage: token.top10_holder_percentage,
+    indexedBlock: token.holders_indexed_block,
+    updatedAt: token.holders_updated,
+    holders: holders.slice(0, pageSize).map(holder => {
+      const balance = parseBalance(holder.balance);
+      const amount = Number(ethers.formatUnits(balance, decimals));
+      return {
+        address: holder.address,
+        label: labels.get(holder.address) || null,
+        balance: balance.toString(),
+        amount,
+        percentage: supplyShare(balance, amount),
+        lastBlock: holder.last_block
+      };
+    }),
+    page: pageNumber,
+    pageSize,
+    hasMore: holders.length > pageSize
+  };
+}
+
+module.exports = {
+  MAX_PAGE_SIZE,
+  getAddressLabels,
+  getHolders
+};
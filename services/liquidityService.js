@@ -0,0 +1,118 @@
+// services/liquidityService.js
+const { ethers } = require('ethers');
+const Pool = require('../models/Pool');
+const Token = require('../models/Token');
+const quoteAssets = require('./quoteAssets');
+const { readPoolReserves, getReserves } = require('./dexAdapters');
+
+// Ranking routes leave out tokens with less liquidity than this behind their price
+const MIN_RANKING_LIQUIDITY = parseFloat(process.env.MIN_RANKING_LIQUIDITY_USD) || 10000;
+
+// Query condition for the ranking floor. Tokens whose liquidity has never been read are
+// kept: a zero there means "unknown", not "illiquid".
+const RANKING_LIQUIDITY_MATCH = {
+  $or: [
+    { liquidity_updated: null },
+    { liquidity_usd: { $gte: MIN_RANKING_LIQUIDITY } }
+  ]
+};
+
+// Swaps and liquidity changes arrive in bursts; re-read a token's pools at most once per delay
+const UPDATE_DELAY = 15 * 1000;
+const pendingUpdates = new Map();
+
+// USD value of both sides of a pool: the quote side at its USD price, the token side at the
+// token's own price
+function poolLiquidityUsd(quotes, pool, reserves, token) {
+  const { tokenReserve, quoteReserve } = getReserves(pool, reserves);
+  const quoteUsd = quotes.quoteValueUsd(pool.quoteAddress, quoteReserve);
+  const tokenUsd = token.price_usd > 0
+    ? Number(ethers.formatUnits(tokenReserve, token.decimals ?? 18)) * token.price_usd
+    : 0;
+  return quoteUsd + tokenUsd;
+}
+
+// Re-read the reserves of every known pool of a token in one multicall and store the USD
+// liquidity of each pool and their total on the token. Returns the total, or null on failure.
+// Pools whose quote asset has no USD price yet are skipped rather than counted as empty.
+async function updateTokenLiquidity(provider, chain, tokenAddress) {
+  const address = tokenAddress.toLowerCase();
+
+  try {
+    const [token, pools] = await Promise.all([
+      Token.findOne({ chain, contractAddress: address }).select('decimals price_usd').lean(),
+      Pool.find({ chain, tokenAddress: address }).lean()
+    ]);
+    if (!token || pools.length === 0) {
+      return null;
+    }
+
+    const quotes = quoteAssets.forChain(chain);
+    const priced = pools.filter(pool => quotes.getUsdPrice(pool.quoteAddress));
+    if (priced.length === 0) {
+      return null;
+    }
+    const reserves = await readPoolReserves(provider, priced);
+
+    let total = 0;
+    const operations = [];
+    priced.forEach((pool, index) => {
+      if (!reserves[index]) {
+        console.warn(`${pool.dex} pool ${pool.address} reserve read failed for ${address}`);
+        return;
+      }
+      const liquidityUsd = poolLiquidityUsd(quotes, pool, reserves[index], token);
+      total += liquidityUsd;
+      operations.push({
+        updateOne: {
+          filter: { _id: pool._id },
+          update: { $set: { liquidity_usd: liquidityUsd } }
+        }
+      });
+    });
+
+    if (operations.length === 0) {
+      return null;
+    }
+    await Pool.bulkWrite(operations, { ordered: false });
+    await Token.updateOne(
+      { chain, contractAddress: address },
+      { $set: { liquidity_usd: total, liquidity_updated: new Date() } }
+    );
+    return total;
+  } catch (error) {
+    console.error(`Error updating liquidity for ${chain}:${address}:`, error);
+    return null;
+  }
+}
+
+// `provider` may be a function so the update uses whichever provider is live when it runs
+function scheduleUpdate(provider, chain, tokenAddress) {
+  const address = tokenAddress.toLowerCase();
+  const key = `${chain}:${address}`;
+  if (pendingUpdates.has(key)) {
+    return;
+  }
+
+  const run = () => {
+    pendingUpdates.delete(key);
+    return updateTokenLiquidity(typeof provider === 'function' ? provider() : provider, chain, address);
+  };
+  pendingUpdates.set(key, { timer: setTimeout(run, UPDATE_DELAY), run });
+}
+
+// Run every scheduled update now instead of after its delay (replays flush between blocks)
+async function flushUpdates() {
+  for (const { timer, run } of [...pendingUpdates.values()]) {
+    clearTimeout(timer);
+    await run();
+  }
+}
+
+module.exports = {
+  MIN_RANKING_LIQUIDITY,
+  RANKING_LIQUIDITY_MATCH,
+  updateTokenLiquidity,
+  scheduleUpdate,
+  flushUpdates
+};
@@ -0,0 +1,281 @@
+// services/marketDataProviders.js
+// Off-chain market data (price, volume, supply, top pool) behind one interface, with
+// providers tried in a configured order and the source of every field recorded.
+const axios = require('axios');
+const { getChain } = require('./chains');
+const { marketDataErrors, marketDataRateLimited } = require('./metrics');
+require('dotenv').config();
+
+// Fields a provider may fill for a token
+const MARKET_DATA_FIELDS = ['price_usd', 'price_change_24h', 'volume_usd_24h', 'total_supply', 'decimals', 'pool_address'];
+
+const DEFAULT_PROVIDER_ORDER = ['geckoterminal', 'dexscreener', 'coingecko'];
+
+const MAX_BACKOFF_MS = 30000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// An HTTP client with its own request budget. Requests are spaced evenly across the
+// minute, and 429 responses are retried with exponential backoff (or Retry-After).
+class RateLimitedClient {
+  constructor(name, { baseURL, headers = {}, requestsPerMinute, maxRetries = 3 }) {
+    this.name = name;
+    this.metricName = name.toLowerCase();
+    this.http = axios.create({
+      baseURL,
+      timeout: 30000,
+      headers: { 'Accept': 'application/json', ...headers }
+    });
+    this.interval = Math.ceil(60000 / requestsPerMinute);
+    this.maxRetries = maxRetries;
+    this.nextSlot = 0;
+  }
+
+  // Reserve the next free slot in the budget and wait for it
+  async acquire() {
+    const now = Date.now();
+    const slot = Math.max(now, this.nextSlot);
+    this.nextSlot = slot + this.interval;
+    if (slot > now) {
+      await sleep(slot - now);
+    }
+  }
+
+  async get(url, config = {}) {
+    for (let attempt = 0; ; attempt++) {
+      await this.acquire();
+      try {
+        return await this.http.get(url, config);
+      } catch (error) {
+        if (error.response?.status === 429) {
+          marketDataRateLimited.inc({ provider: this.metricName });
+        }
+        if (error.response?.status !== 429 || attempt >= this.maxRetries) {
+          throw error;
+        }
+
+        const retryAfter = parseInt(error.response.headers?.['retry-after']) * 1000;
+        const delay = retryAfter > 0 ? retryAfter : Math.min(1000 * 2 ** attempt, MAX_BACKOFF_MS);
+        console.warn(`${this.name} rate limited, retrying in ${delay}ms (attempt ${attempt + 1}/${this.maxRetries})`);
+
+        // Hold back every other request on this client too
+        this.nextSlot = Math.max(this.nextSlot, Date.now() + delay);
+      }
+    }
+  }
+}
+
+function toNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) && number > 0 ? number : null;
+}
+
+// Percentages may be negative or zero
+function toPercentage(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Drop fields the provider did not actually have
+function compact(data) {
+  const result = {};
+  for (const field of MARKET_DATA_FIELDS) {
+    if (data[field] !== null && data[field] !== undefined) {
+      result[field] = data[field];
+    }
+  }
+  return result;
+}
+
+const geckoTerminal = {
+  name: 'geckoterminal',
+  maxBatchSize: 30,
+  // Fields this provider can return; it is only asked for tokens missing one of them
+  fields: ['price_usd', 'volume_usd_24h', 'total_supply', 'decimals', 'pool_address'],
+  client: new RateLimitedClient('GeckoTerminal', {
+    baseURL: 'https://api.geckoterminal.com/api/v2',
+    requestsPerMinute: parseInt(process.env.GECKOTERMINAL_RATE_LIMIT) || 30
+  }),
+
+  async fetchTokens(network, addresses) {
+    const addressesParam = addresses.join('%2C');
+    const response = await this.client.get(`/networks/${network}/tokens/multi/${addressesParam}`);
+
+    const result = {};
+    for (const token of response.data?.data || []) {
+      const attributes = token.attributes;
+      const address = token.id.split('_')[1].toLowerCase();
+
+      result[address] = compact({
+        price_usd: toNumber(attributes.price_usd),
+        volume_usd_24h: toNumber(attributes.volume_usd?.h24),
+        total_supply: toNumber(attributes.total_supply),
+        decimals: attributes.decimals != null ? parseInt(attributes.decimals) : null,
+        // Get the first pool address if available
+        pool_address: token.relationships?.top_pools?.data?.[0]?.id?.split('_')[1] || null
+      });
+    }
+    return result;
+  }
+};
+
+const dexScreener = {
+  name: 'dexscreener',
+  maxBatchSize: 30,
+  fields: ['price_usd', 'price_change_24h', 'volume_usd_24h', 'pool_address'],
+  client: new RateLimitedClient('DexScreener', {
+    baseURL: 'https://api.dexscreener.com',
+    requestsPerMinute: parseInt(process.env.DEXSCREENER_RATE_LIMIT) || 60
+  }),
+
+  // Returns every pair for the tokens; each token takes its most liquid pair
+  async fetchTokens(network, addresses) {
+    const response = await this.client.get(`/tokens/v1/${network}/${addresses.join(',')}`);
+
+    const best = {};
+    for (const pair of response.data || []) {
+      const address = pair.baseToken?.address?.toLowerCase();
+      if (!address || !addresses.includes(address)) continue;
+
+      const liquidity = pair.liquidity?.usd || 0;
+      if (!best[address] || liquidity > best[address].liquidity) {
+        best[address] = { pair, liquidity };
+      }
+    }
+
+    const result = {};
+    for (const [address, { pair }] of Object.entries(best)) {
+      result[address] = compact({
+        price_usd: toNumber(pair.priceUsd),
+        price_change_24h: toPercentage(pair.priceChange?.h24),
+        volume_usd_24h: toNumber(pair.volume?.h24),
+        pool_address: pair.pairAddress?.toLowerCase() || null
+      });
+    }
+    return result;
+  }
+};
+
+// The pro API takes a different key header than the public/demo one
+const COINGECKO_BASE_URL = process.env.COINGECKO_API_BASE_URL || 'https://api.coingecko.com/api/v3';
+const COINGECKO_KEY_HEADER = COINGECKO_BASE_URL.includes('pro-api') ? 'x-cg-pro-api-key' : 'x-cg-demo-api-key';
+
+const coinGecko = {
+  name: 'coingecko',
+  maxBatchSize: parseInt(process.env.COINGECKO_BATCH_SIZE) || 30,
+  fields: ['price_usd', 'price_change_24h', 'volume_usd_24h'],
+  client: new RateLimitedClient('CoinGecko', {
+    baseURL: COINGECKO_BASE_URL,
+    headers: process.env.apiKey ? { [COINGECKO_KEY_HEADER]: process.env.apiKey } : {},
+    requestsPerMinute: parseInt(process.env.COINGECKO_RATE_LIMIT) || 25
+  }),
+
+  async fetchTokens(network, addresses) {
+    const response = await this.client.get(`/simple/token_price/${network}`, {
+      params: {
+        contract_addresses: addresses.join(','),
+        vs_currencies: 'usd',
+        include_24hr_vol: true,
+        include_24hr_change: true
+      }
+    });
+
+    const result = {};
+    for (const [address, prices] of Object.entries(response.data || {})) {
+      result[address.toLowerCase()] = compact({
+        price_usd: toNumber(prices.usd),
+        price_change_24h: toPercentage(prices.usd_24h_change),
+        volume_usd_24h: toNumber(prices.usd_24h_vol)
+      });
+    }
+    return result;
+  }
+};
+
+const PROVIDERS = {
+  [geckoTerminal.name]: geckoTerminal,
+  [dexScreener.name]: dexScreener,
+  [coinGecko.name]: coinGecko
+};
+
+// MARKET_DATA_PROVIDERS is a comma-separated list, highest priority first
+function getProviderOrder() {
+  const configured = (process.env.MARKET_DATA_PROVIDERS || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  const order = configured.length > 0 ? configured : DEFAULT_PROVIDER_ORDER;
+  for (const name of order) {
+    if (!PROVIDERS[name]) {
+      console.warn(`Unknown market data provider "${name}" ignored`);
+    }
+  }
+  return order.filter(name => PROVIDERS[name]);
+}
+
+// Wanted fields of a token that no provider has supplied yet and this provider can return
+function missingFields(entry, wanted, provider) {
+  return wanted.filter(field => entry.data[field] === undefined && provider.fields.includes(field));
+}
+
+// Fetch market data for many tokens of one chain. Each provider in order is asked only for
+// tokens with a gap it can fill, and only fills fields no earlier provider supplied. A provider
+// that fails after its retries, or does not cover the chain, is skipped.
+// `wantedFields(address)` narrows the fields a token needs (e.g. not the supply when it is
+// read on-chain), so later providers stay fallbacks instead of running for every token.
+// Returns { [address]: { data: { field: value }, sources: { field: provider } } }.
+async function fetchMarketData(chainId, tokenAddresses, wantedFields = () => MARKET_DATA_FIELDS) {
+  const { marketData: networks } = getChain(chainId);
+  const results = {};
+  const wanted = {};
+  for (const address of tokenAddresses) {
+    results[address.toLowerCase()] = { data: {}, sources: {} };
+    wanted[address.toLowerCase()] = wantedFields(address.toLowerCase());
+  }
+
+  for (const name of getProviderOrder()) {
+    const provider = PROVIDERS[name];
+    const network = networks[name];
+    if (!network) continue;
+
+    // A provider with nothing to fill is skipped; later ones may still cover other fields
+    const pending = Object.keys(results).filter(address => missingFields(results[address], wanted[address], provider).length > 0);
+    if (pending.length === 0) {
+      continue;
+    }
+
+    for (let i = 0; i < pending.length; i += provider.maxBatchSize) {
+      const chunk = pending.slice(i, i + provider.maxBatchSize);
+      try {
+        console.log(`Fetching ${name} data for ${chunk.length} ${chainId} tokens`);
+        const fetched = await provider.fetchTokens(network, chunk);
+
+        for (const [address, data] of Object.entries(fetched)) {
+          const entry = results[address];
+          if (!entry) continue;
+
+          for (const [field, value] of Object.entries(data)) {
+            if (entry.data[field] === undefined) {
+              entry.data[field] = value;
+              entry.sources[field] = name;
+            }
+          }
+        }
+      } catch (error) {
+        marketDataErrors.inc({ provider: name, chain: chainId });
+        console.error(`Error fetching ${name} data:`, error.response?.data || error.message);
+      }
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  MARKET_DATA_FIELDS,
+  PROVIDERS,
+  RateLimitedClient,
+  getProviderOrder,
+  fetchMarketData
+};
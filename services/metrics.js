@@ -0,0 +1,141 @@
+// services/metrics.js
+// Prometheus metrics for /metrics, on a prom-client registry of our own. Gauges that
+// describe live state compute their values in a collect() hook, run on each scrape.
+const client = require('prom-client');
+
+const registry = new client.Registry();
+
+// Process CPU, memory, heap, event loop lag and GC metrics
+client.collectDefaultMetrics({ register: registry });
+
+const swapsProcessed = new client.Counter({
+  name: 'tracker_swaps_processed_total',
+  help: 'Swap logs stored, live or replayed, by chain and DEX',
+  labelNames: ['chain', 'dex'],
+  registers: [registry]
+});
+
+const lastSwapTimestamp = new client.Gauge({
+  name: 'tracker_last_swap_processed_timestamp_seconds',
+  help: 'Unix time at which the last swap was stored',
+  labelNames: ['chain'],
+  registers: [registry]
+});
+
+// chain -> Unix seconds of the last stored swap, for the health check. Reading it never
+// creates a series, unlike asking the gauge.
+const lastSwapTimes = new Map();
+
+const batchDuration = new client.Histogram({
+  name: 'batch_duration_seconds',
+  help: 'Duration of one market data batch of the batch processor',
+  labelNames: ['chain'],
+  buckets: [1, 2.5, 5, 10, 20, 30, 60, 120, 300],
+  registers: [registry]
+});
+
+const marketDataErrors = new client.Counter({
+  name: 'market_data_provider_errors_total',
+  help: 'Failed market data requests (GeckoTerminal, DexScreener, CoinGecko) after retries',
+  labelNames: ['provider', 'chain'],
+  registers: [registry]
+});
+
+const marketDataRateLimited = new client.Counter({
+  name: 'market_data_rate_limited_total',
+  help: 'HTTP 429 responses from market data providers',
+  labelNames: ['provider'],
+  registers: [registry]
+});
+
+const marketDataMisses = new client.Counter({
+  name: 'market_data_misses_total',
+  help: 'Tokens of a batch for which no market data provider returned a price',
+  labelNames: ['chain'],
+  registers: [registry]
+});
+
+const rpcLatency = new client.Histogram({
+  name: 'rpc_request_duration_seconds',
+  help: 'JSON-RPC request latency, by chain, transport and method',
+  labelNames: ['chain', 'transport', 'method'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [registry]
+});
+
+const rpcErrors = new client.Counter({
+  name: 'rpc_request_errors_total',
+  help: 'Failed JSON-RPC requests, by chain, transport and method',
+  labelNames: ['chain', 'transport', 'method'],
+  registers: [registry]
+});
+
+// A per-chain gauge set on each scrape to `read(source)` for every [chain, source] pair
+// of `entries()`. Chains whose value is unknown (null) are left out.
+function stateGauge(name, help, entries, read) {
+  return new client.Gauge({
+    name,
+    help,
+    labelNames: ['chain'],
+    registers: [registry],
+    collect() {
+      this.reset();
+      try {
+        for (const [chain, source] of entries()) {
+          const value = read(source);
+          if (value !== null && value !== undefined) {
+            this.set({ chain }, value);
+          }
+        }
+      } catch (error) {
+        console.error(`Error collecting metric ${name}:`, error.message);
+      }
+    }
+  });
+}
+
+function recordSwapProcessed(chain, dex) {
+  const now = Math.floor(Date.now() / 1000);
+  swapsProcessed.inc({ chain, dex });
+  lastSwapTimestamp.set({ chain }, now);
+  lastSwapTimes.set(chain, now);
+}
+
+// Unix seconds of the last swap stored for `chain` by this process, or null
+function lastSwapProcessed(chain) {
+  return lastSwapTimes.get(chain) ?? null;
+}
+
+// Time every JSON-RPC request a provider sends. ethers routes all calls through send().
+function instrumentProvider(provider, chain, transport) {
+  const send = provider.send.bind(provider);
+  provider.send = async (method, params) => {
+    const labels = { chain, transport, method };
+    const end = rpcLatency.startTimer(labels);
+    try {
+      return await send(method, params);
+    } catch (error) {
+      rpcErrors.inc(labels);
+      throw error;
+    } finally {
+      end();
+    }
+  };
+  return provider;
+}
+
+module.exports = {
+  registry,
+  swapsProcessed,
+  lastSwapTimestamp,
+  batchDuration,
+  marketDataErrors,
+  marketDataRateLimited,
+  marketDataMisses,
+  rpcLatency,
+  rpcErrors,
+  stateGauge,
+  recordSwapProcessed,
+  lastSwapProcessed,
+  instrumentProvider
+};
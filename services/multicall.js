@@ -0,0 +1,111 @@
+// services/multicall.js
+// Groups view calls through Multicall3 so a batch of reads costs one RPC round trip.
+const { ethers } = require('ethers');
+
+// Multicall3 is deployed at the same address on every supported chain
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+const MULTICALL3_ABI = [
+  "function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)"
+];
+
+const ERC20_ABI = [
+  "function name() view returns (string)",
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function totalSupply() view returns (uint256)",
+  "function balanceOf(address) view returns (uint256)"
+];
+
+const MAX_CALLS_PER_REQUEST = parseInt(process.env.MULTICALL_CHUNK_SIZE) || 200;
+
+const interfaces = new Map();
+function getInterface(abi) {
+  if (abi instanceof ethers.Interface) {
+    return abi;
+  }
+  let iface = interfaces.get(abi);
+  if (!iface) {
+    iface = new ethers.Interface(abi);
+    interfaces.set(abi, iface);
+  }
+  return iface;
+}
+
+// Describe a view call: { target, abi, method, args }
+function call(target, abi, method, args = []) {
+  return { target, abi, method, args };
+}
+
+function erc20Call(tokenAddress, method) {
+  return call(tokenAddress, ERC20_ABI, method);
+}
+
+// Run view calls through Multicall3. Each call fails on its own: the result for a
+// reverting or undecodable call is { success: false, error } and the others still resolve.
+// Single-output functions resolve to the value itself, others to the ethers Result.
+async function multicall(provider, calls) {
+  if (calls.length === 0) {
+    return [];
+  }
+
+  const multicallContract = new ethers.Contract(MULTICALL3_ADDRESS, MULTICALL3_ABI, provider);
+  const encoded = calls.map(({ target, abi, method, args }) => ({
+    target,
+    allowFailure: true,
+    callData: getInterface(abi).encodeFunctionData(method, args)
+  }));
+
+  const results = [];
+  for (let start = 0; start < encoded.length; start += MAX_CALLS_PER_REQUEST) {
+    const chunk = encoded.slice(start, start + MAX_CALLS_PER_REQUEST);
+    const responses = await multicallContract.aggregate3.staticCall(chunk);
+
+    responses.forEach(([success, returnData], offset) => {
+      const { abi, method } = calls[start + offset];
+      if (!success) {
+        results.push({ success: false, error: 'reverted' });
+        return;
+      }
+
+      try {
+        const decoded = getInterface(abi).decodeFunctionResult(method, returnData);
+        results.push({ success: true, value: decoded.length === 1 ? decoded[0] : decoded });
+      } catch (error) {
+        results.push({ success: false, error: error.shortMessage || error.message });
+      }
+    });
+  }
+
+  return results;
+}
+
+// name, symbol, decimals and totalSupply for many tokens in one round trip.
+// Fields a token does not implement come back as null.
+async function getTokenMetadata(provider, tokenAddresses) {
+  const fields = ['name', 'symbol', 'decimals', 'totalSupply'];
+  const calls = tokenAddresses.flatMap(address => fields.map(field => erc20Call(address, field)));
+  const results = await multicall(provider, calls);
+
+  const metadata = {};
+  tokenAddresses.forEach((address, index) => {
+    const entry = {};
+    fields.forEach((field, offset) => {
+      const result = results[index * fields.length + offset];
+      entry[field] = result.success ? result.value : null;
+    });
+    if (entry.decimals !== null) {
+      entry.decimals = Number(entry.decimals);
+    }
+    metadata[address.toLowerCase()] = entry;
+  });
+  return metadata;
+}
+
+module.exports = {
+  MULTICALL3_ADDRESS,
+  ERC20_ABI,
+  call,
+  erc20Call,
+  multicall,
+  getTokenMetadata
+};
@@ -0,0 +1,126 @@
+// services/poolDiscovery.js
+const Pool = require('../models/Pool');
+const Token = require('../models/Token');
+const { findPools, readPoolStates, getReserves } = require('./dexAdapters');
+const quoteAssets = require('./quoteAssets');
+const liquidityService = require('./liquidityService');
+
+// How long a discovered primary pool is trusted before candidates are re-ranked
+const POOL_REFRESH_INTERVAL = parseInt(process.env.POOL_REFRESH_INTERVAL_MS) || 6 * 60 * 60 * 1000;
+
+// Pools quoted in different assets are compared by the USD value of their quote side
+function compareDepth(a, b) {
+  if (a.quoteReserveUsd !== b.quoteReserveUsd) {
+    return b.quoteReserveUsd - a.quoteReserveUsd;
+  }
+  if (a.quoteReserve === b.quoteReserve) return 0;
+  return a.quoteReserve > b.quoteReserve ? -1 : 1;
+}
+
+// Query every supported DEX for pools pairing the token with a quote asset,
+// deepest pool first. Factory lookups and pool states are each one multicall.
+async function discoverPools(provider, chain, tokenAddress, quoteAddresses = quoteAssets.forChain(chain).getQuoteAddresses()) {
+  const quotes = quoteAssets.forChain(chain);
+  const address = tokenAddress.toLowerCase();
+  const pairs = quoteAddresses
+    .filter(quoteAddress => quoteAddress.toLowerCase() !== address)
+    .map(quoteAddress => ({ tokenAddress: address, quoteAddress }));
+
+  try {
+    const pools = await findPools(provider, chain, pairs);
+    const states = await readPoolStates(provider, pools);
+
+    const candidates = [];
+    pools.forEach((pool, index) => {
+      if (!states[index]) {
+        console.warn(`${pool.dex} pool ${pool.address} state read failed for ${address}`);
+        return;
+      }
+      const { quoteReserve } = getReserves(pool, states[index]);
+      const quoteReserveUsd = quotes.quoteValueUsd(pool.quoteAddress, quoteReserve);
+      candidates.push({ ...pool, quoteReserve, quoteReserveUsd });
+    });
+
+    return candidates.sort(compareDepth);
+  } catch (error) {
+    console.warn(`Pool lookup failed for ${chain}:${address}: ${error.message}`);
+    return [];
+  }
+}
+
+// Re-rank all pools for a token, persist them and point the token at the deepest one
+async function refreshTokenPools(provider, chain, tokenAddress) {
+  const address = tokenAddress.toLowerCase();
+  const candidates = await discoverPools(provider, chain, address);
+  const now = new Date();
+
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  const primary = candidates[0];
+  const operations = candidates.map((pool, index) => ({
+    updateOne: {
+      filter: { chain, tokenAddress: address, address: pool.address },
+      update: {
+        $set: {
+          quoteAddress: pool.quoteAddress,
+          dex: pool.dex,
+          token0: pool.token0,
+          token1: pool.token1,
+          fee: pool.fee ?? null,
+          tickSpacing: pool.tickSpacing ?? null,
+          stable: Boolean(pool.stable),
+          hooks: pool.hooks ?? null,
+          quote_reserve: pool.quoteReserve.toString(),
+          quote_reserve_usd: pool.quoteReserveUsd,
+          is_primary: index === 0,
+          last_checked: now
+        }
+      },
+      upsert: true
+    }
+  }));
+  // Pools that dropped out of the candidates must not stay primary
+  operations.push({
+    updateMany: {
+      filter: { chain, tokenAddress: address, address: { $ne: primary.address } },
+      update: { $set: { is_primary: false } }
+    }
+  });
+  await Pool.bulkWrite(operations, { ordered: false });
+
+  await Token.updateOne(
+    { chain, contractAddress: address },
+    { $set: { pool_address: primary.address, pool_dex: primary.dex } }
+  );
+  await liquidityService.updateTokenLiquidity(provider, chain, address);
+
+  console.log(`Primary pool for ${chain}:${address}: ${primary.dex} ${primary.address} (${candidates.length} candidates)`);
+  return primary;
+}
+
+// Primary pool for a token, re-discovered when the stored ranking is stale
+async function getPrimaryPool(provider, chain, tokenAddress) {
+  const address = tokenAddress.toLowerCase();
+  const stored = await Pool.findOne({ chain, tokenAddress: address, is_primary: true }).lean();
+
+  if (stored && Date.now() - stored.last_checked.getTime() < POOL_REFRESH_INTERVAL) {
+    return stored;
+  }
+
+  return refreshTokenPools(provider, chain, address);
+}
+
+async function getTokenPools(chain, tokenAddress) {
+  return Pool.find({ chain, tokenAddress: tokenAddress.toLowerCase() })
+    .sort({ is_primary: -1, last_checked: -1 })
+    .lean();
+}
+
+module.exports = {
+  discoverPools,
+  refreshTokenPools,
+  getPrimaryPool,
+  getTokenPools
+};
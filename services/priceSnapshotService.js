@@ -0,0 +1,162 @@
+// services/priceSnapshotService.js
+const cron = require('node-cron');
+const PriceSnapshot = require('../models/PriceSnapshot');
+const Token = require('../models/Token');
+const { getEnabledChains } = require('./chains');
+
+// Change windows and the Token field each is stored in. The batch processor fills the 24h
+// change from market data providers until a 24h-old snapshot exists (`providerFallback`).
+const CHANGE_WINDOWS = {
+  '5m': { size: 5 * 60 * 1000, field: 'price_change_5m' },
+  '1h': { size: 60 * 60 * 1000, field: 'price_change_1h' },
+  '6h': { size: 6 * 60 * 60 * 1000, field: 'price_change_6h' },
+  '24h': { size: 24 * 60 * 60 * 1000, field: 'price_change_24h', providerFallback: true },
+  '7d': { size: 7 * 24 * 60 * 60 * 1000, field: 'price_change_7d' }
+};
+
+const SNAPSHOT_INTERVAL = 5 * 60 * 1000;
+
+// A window's reference price may come from a snapshot up to this much older than the window
+const SNAPSHOT_TOLERANCE = 2 * SNAPSHOT_INTERVAL;
+
+// Only tokens priced recently are snapshotted; older prices are stale anyway
+const ACTIVE_WINDOW = 24 * 60 * 60 * 1000;
+
+let cronJob = null;
+
+// Slots are whole minutes so that "now - 5m" lands exactly on the previous run's snapshot
+function snapshotSlot(now) {
+  return new Date(Math.floor(now.getTime() / 60000) * 60000);
+}
+
+// Record the current price of every active token on a chain
+async function takeSnapshots(chain, now = new Date()) {
+  const tokens = await Token.find({
+    chain,
+    price_usd: { $gt: 0 },
+    last_updated: { $gte: new Date(now.getTime() - ACTIVE_WINDOW) }
+  })
+    .select('contractAddress price_usd')
+    .lean();
+
+  const timestamp = snapshotSlot(now);
+  if (tokens.length > 0) {
+    try {
+      await PriceSnapshot.insertMany(tokens.map(token => ({
+        chain,
+        contractAddress: token.contractAddress,
+        price_usd: token.price_usd,
+        timestamp
+      })), { ordered: false });
+    } catch (error) {
+      // An overlapping run already stored this slot; the unique index drops the duplicates
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+  }
+  return tokens;
+}
+
+// Latest snapshot price per token at or before `target`, within the tolerance
+async function getReferencePrices(chain, target) {
+  const rows = await PriceSnapshot.aggregate([
+    {
+      $match: {
+        chain,
+        timestamp: { $lte: target, $gte: new Date(target.getTime() - SNAPSHOT_TOLERANCE) }
+      }
+    },
+    { $sort: { timestamp: -1 } },
+    { $group: { _id: '$contractAddress', price_usd: { $first: '$price_usd' } } }
+  ]);
+  return new Map(rows.map(row => [row._id, row.price_usd]));
+}
+
+// Reference price of one token for a change window, or null without a snapshot that old
+async function getReferencePrice(chain, contractAddress, window, now = new Date()) {
+  const target = new Date(snapshotSlot(now).getTime() - CHANGE_WINDOWS[window].size);
+  const snapshot = await PriceSnapshot.findOne({
+    chain,
+    contractAddress: contractAddress.toLowerCase(),
+    timestamp: { $lte: target, $gte: new Date(target.getTime() - SNAPSHOT_TOLERANCE) }
+  })
+    .sort({ timestamp: -1 })
+    .lean();
+  return snapshot ? snapshot.price_usd : null;
+}
+
+// Change of each token's current price against its snapshot one window ago, in percent.
+// Windows without a snapshot (tokens tracked for less than the window) are stored as null,
+// except the 24h change, which is left to the provider figure until a baseline exists. A 24h
+// change taken from snapshots is cleared and handed back to the providers when its baseline
+// is missing again (e.g. after downtime), instead of being served stale.
+async function updatePriceChanges(chain, tokens, now = new Date()) {
+  const slot = snapshotSlot(now);
+  const references = {};
+  for (const [label, { size }] of Object.entries(CHANGE_WINDOWS)) {
+    references[label] = await getReferencePrices(chain, new Date(slot.getTime() - size));
+  }
+
+  const operations = tokens.flatMap(token => {
+    const filter = { chain, contractAddress: token.contractAddress };
+    const changes = {};
+    const released = [];
+    for (const [label, { field, providerFallback }] of Object.entries(CHANGE_WINDOWS)) {
+      const past = references[label].get(token.contractAddress);
+      if (past > 0) {
+        changes[field] = ((token.price_usd - past) / past) * 100;
+        if (providerFallback) {
+          changes[`market_data_sources.${field}`] = 'snapshots';
+        }
+      } else if (!providerFallback) {
+        changes[field] = null;
+      } else {
+        released.push({
+          updateOne: {
+            filter: { ...filter, [`market_data_sources.${field}`]: 'snapshots' },
+            update: { $set: { [field]: null }, $unset: { [`market_data_sources.${field}`]: '' } }
+          }
+        });
+      }
+    }
+    return [
+      { updateOne: { filter, update: { $set: { ...changes, price_changes_updated: now } } } },
+      ...released
+    ];
+  });
+
+  if (operations.length > 0) {
+    await Token.bulkWrite(operations, { ordered: false });
+  }
+}
+
+async function runSnapshots() {
+  for (const chain of getEnabledChains()) {
+    try {
+      const now = new Date();
+      const tokens = await takeSnapshots(chain, now);
+      await updatePriceChanges(chain, tokens, now);
+      console.log(`Stored ${tokens.length} ${chain} price snapshots`);
+    } catch (error) {
+      console.error(`Error taking ${chain} price snapshots:`, error);
+    }
+  }
+}
+
+// Snapshot every 5 minutes, once, even if called again
+function initializePriceSnapshots() {
+  if (!cronJob) {
+    cronJob = cron.schedule('*/5 * * * *', runSnapshots);
+    console.log('Price snapshots scheduled for every 5 minutes');
+  }
+}
+
+module.exports = {
+  CHANGE_WINDOWS,
+  takeSnapshots,
+  getReferencePrice,
+  updatePriceChanges,
+  runSnapshots,
+  initializePriceSnapshots
+};
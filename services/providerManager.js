@@ -0,0 +1,295 @@
+// services/providerManager.js
+const { EventEmitter } = require('events');
+const { ethers } = require('ethers');
+const { getChain, getEnabledChains } = require('./chains');
+const { stateGauge, instrumentProvider } = require('./metrics');
+require('dotenv').config();
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// One WebSocket provider per chain, shared by every service. A heartbeat detects dead
+// sockets, reconnects back off exponentially and re-register the active event
+// subscriptions, and reads go to HTTP RPCs while the socket is down.
+class ProviderManager extends EventEmitter {
+  constructor(chainId) {
+    super();
+    const chain = getChain(chainId);
+    this.chainId = chain.id;
+    this.networkId = chain.chainId;
+    this.wsUrl = chain.wsUrl;
+    this.httpUrls = [chain.rpcUrl, ...chain.fallbackRpcUrls].filter(Boolean);
+
+    this.heartbeatInterval = parseInt(process.env.HEARTBEAT_INTERVAL_MS) || 15000;
+    this.heartbeatTimeout = parseInt(process.env.HEARTBEAT_TIMEOUT_MS) || 10000;
+    this.maxBackoff = parseInt(process.env.RECONNECT_MAX_BACKOFF_MS) || 60000;
+
+    this.wsProvider = null;
+    this.httpProvider = null;
+    this.connected = false;
+    this.reconnecting = false;
+    this.reconnectTimer = null;
+    this.reconnectAttempts = 0;
+    this.lastHeartbeat = null;
+    this.latestBlock = null;
+    this.heartbeatTimer = null;
+    this.started = false;
+
+    // key -> { register(provider) => teardown, teardown }
+    this.subscriptions = new Map();
+  }
+
+  async start() {
+    if (this.started) {
+      return;
+    }
+    this.started = true;
+
+    if (this.httpUrls.length > 0) {
+      const providers = this.httpUrls.map((url, index) => ({
+        provider: instrumentProvider(new ethers.JsonRpcProvider(url, this.networkId, { staticNetwork: true }), this.chainId, 'http'),
+        priority: index + 1,
+        stallTimeout: 2000
+      }));
+      this.httpProvider = new ethers.FallbackProvider(providers, this.networkId, { quorum: 1 });
+    }
+
+    await this.connect();
+    this.heartbeatTimer = setInterval(() => this.heartbeat(), this.heartbeatInterval);
+  }
+
+  async connect() {
+    let provider = null;
+    try {
+      provider = instrumentProvider(new ethers.WebSocketProvider(this.wsUrl, this.networkId), this.chainId, 'ws');
+
+      // Socket errors would otherwise surface as unhandled 'error' events
+      const socket = provider.websocket;
+      if (socket && typeof socket.on === 'function') {
+        socket.on('error', error => console.error(`${this.chainId} WebSocket error:`, error.message));
+        socket.on('close', () => {
+          if (this.wsProvider === provider) {
+            this.handleDisconnect('socket closed');
+          }
+        });
+      }
+
+      const latestBlock = await withTimeout(provider.getBlockNumber(), this.heartbeatTimeout, 'WebSocket connect timeout');
+      // Stopped while the socket was opening
+      if (!this.started) {
+        this.destroyProvider(provider);
+        return false;
+      }
+      this.latestBlock = latestBlock;
+      this.lastHeartbeat = new Date();
+      this.wsProvider = provider;
+      this.connected = true;
+      this.reconnectAttempts = 0;
+
+      this.registerAll();
+      console.log(`${this.chainId} WebSocket provider connected at block ${this.latestBlock}`);
+      this.emit('connected');
+      return true;
+    } catch (error) {
+      console.error(`${this.chainId} WebSocket connection failed:`, error.message);
+      if (provider) {
+        this.destroyProvider(provider);
+      }
+      if (this.started) {
+        this.scheduleReconnect();
+      }
+      return false;
+    }
+  }
+
+  async heartbeat() {
+    if (!this.connected || !this.wsProvider) {
+      return;
+    }
+
+    try {
+      this.latestBlock = await withTimeout(this.wsProvider.getBlockNumber(), this.heartbeatTimeout, 'Heartbeat timeout');
+      this.lastHeartbeat = new Date();
+    } catch (error) {
+      this.handleDisconnect(error.message);
+    }
+  }
+
+  handleDisconnect(reason) {
+    if (!this.connected) {
+      return;
+    }
+
+    console.warn(`${this.chainId} WebSocket provider down (${reason}); reads fall back to HTTP`);
+    this.connected = false;
+
+    const provider = this.wsProvider;
+    this.wsProvider = null;
+    this.teardownAll();
+    this.destroyProvider(provider);
+
+    this.emit('disconnected', reason);
+    this.scheduleReconnect();
+  }
+
+  scheduleReconnect() {
+    if (this.reconnecting) {
+      return;
+    }
+    this.reconnecting = true;
+
+    const delay = Math.min(1000 * 2 ** this.reconnectAttempts, this.maxBackoff);
+    this.reconnectAttempts++;
+    console.log(`Reconnecting ${this.chainId} WebSocket in ${delay}ms (attempt ${this.reconnectAttempts})`);
+
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
+      this.reconnecting = false;
+      if (await this.connect()) {
+        this.emit('reconnected');
+      }
+    }, delay);
+  }
+
+  destroyProvider(provider) {
+    try {
+      provider.destroy();
+    } catch (error) {
+      // The socket may already be gone
+    }
+  }
+
+  // Register an event subscription that survives reconnects. `register` receives the
+  // live provider and returns a teardown function. Re-using a key replaces the old one.
+  subscribe(key, register) {
+    this.unsubscribe(key);
+
+    const entry = { register, teardown: null };
+    this.subscriptions.set(key, entry);
+    if (this.connected) {
+      this.registerEntry(key, entry);
+    }
+  }
+
+  unsubscribe(key) {
+    const entry = this.subscriptions.get(key);
+    if (!entry) {
+      return;
+    }
+    this.subscriptions.delete(key);
+    this.teardownEntry(key, entry);
+  }
+
+  registerEntry(key, entry) {
+    try {
+      entry.teardown = entry.register(this.wsProvider);
+    } catch (error) {
+      console.error(`Error registering subscription ${key}:`, error);
+    }
+  }
+
+  teardownEntry(key, entry) {
+    if (!entry.teardown) {
+      return;
+    }
+    try {
+      Promise.resolve(entry.teardown())
+        .catch(error => console.error(`Error removing subscription ${key}:`, error.message));
+    } catch (error) {
+      console.error(`Error removing subscription ${key}:`, error.message);
+    }
+    entry.teardown = null;
+  }
+
+  registerAll() {
+    for (const [key, entry] of this.subscriptions) {
+      this.registerEntry(key, entry);
+    }
+  }
+
+  teardownAll() {
+    for (const [key, entry] of this.subscriptions) {
+      this.teardownEntry(key, entry);
+    }
+  }
+
+  // Provider for view calls: the socket while it is alive, otherwise the HTTP fallbacks
+  getReadProvider() {
+    if (this.connected && this.wsProvider) {
+      return this.wsProvider;
+    }
+    return this.httpProvider || this.wsProvider;
+  }
+
+  getStatus() {
+    return {
+      chain: this.chainId,
+      connected: this.connected,
+      usingFallback: !this.connected && Boolean(this.httpProvider),
+      reconnectAttempts: this.reconnectAttempts,
+      lastHeartbeat: this.lastHeartbeat,
+      latestBlock: this.latestBlock,
+      activeSubscriptions: this.subscriptions.size
+    };
+  }
+
+  async stop() {
+    clearInterval(this.heartbeatTimer);
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.reconnecting = false;
+    this.teardownAll();
+    if (this.wsProvider) {
+      this.destroyProvider(this.wsProvider);
+    }
+    this.connected = false;
+    this.started = false;
+  }
+}
+
+// One manager per chain, created on first use
+const managers = new Map();
+
+stateGauge('provider_websocket_connected', 'Whether the chain WebSocket provider is connected (1) or down (0)',
+  () => managers.entries(), manager => (manager.connected ? 1 : 0));
+
+stateGauge('provider_latest_block', 'Latest block number seen by the heartbeat',
+  () => managers.entries(), manager => manager.latestBlock);
+
+stateGauge('provider_event_subscriptions', 'Event subscriptions registered with the provider',
+  () => managers.entries(), manager => manager.subscriptions.size);
+
+function forChain(chainId) {
+  let manager = managers.get(chainId);
+  if (!manager) {
+    manager = new ProviderManager(chainId);
+    managers.set(chainId, manager);
+  }
+  return manager;
+}
+
+// Start the managers of every enabled chain
+async function startAll() {
+  await Promise.all(getEnabledChains().map(chainId => forChain(chainId).start()));
+}
+
+async function stopAll() {
+  await Promise.all([...managers.values()].map(manager => manager.stop()));
+}
+
+function getStatus() {
+  return [...managers.values()].map(manager => manager.getStatus());
+}
+
+module.exports = {
+  ProviderManager,
+  forChain,
+  startAll,
+  stopAll,
+  getStatus
+};
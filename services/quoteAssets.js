@@ -0,0 +1,107 @@
+// services/quoteAssets.js
+// Registry of assets tokens can be quoted against, and the USD price of each, per chain.
+const { ethers } = require('ethers');
+const { getChain } = require('./chains');
+
+// Most intermediate assets allowed between a token and USD
+const MAX_HOPS = 2;
+
+class QuoteAssetRegistry {
+  constructor(chainId) {
+    const chain = getChain(chainId);
+    this.chainId = chain.id;
+
+    // The chain's USD stablecoin anchors every route
+    this.USD_ANCHOR = chain.usdAnchor;
+    this.QUOTE_ASSETS = chain.quoteAssets;
+
+    // Tracked tokens that other tokens may be quoted against; priced from their own Token document
+    this.TRACKED_QUOTE_TOKENS = chain.trackedQuoteTokens
+      .map(address => address.toLowerCase())
+      .filter(address => ethers.isAddress(address));
+
+    // address -> { priceUsd, route, updatedAt }
+    this.usdPrices = new Map([
+      [this.USD_ANCHOR, { priceUsd: 1, route: [this.QUOTE_ASSETS[this.USD_ANCHOR].symbol], updatedAt: new Date() }]
+    ]);
+
+    this.trackedQuotes = new Map();
+  }
+
+  getQuoteAsset(address) {
+    const key = address.toLowerCase();
+    return this.QUOTE_ASSETS[key] || this.trackedQuotes.get(key) || null;
+  }
+
+  getQuoteAddresses() {
+    return [...Object.keys(this.QUOTE_ASSETS), ...this.TRACKED_QUOTE_TOKENS];
+  }
+
+  // Assets that are priced from pools, in dependency order (closest to USD first)
+  getPricingOrder() {
+    const order = [];
+    const resolved = new Set([this.USD_ANCHOR]);
+    const pending = Object.keys(this.QUOTE_ASSETS).filter(address => address !== this.USD_ANCHOR);
+
+    while (pending.length > 0) {
+      const index = pending.findIndex(address => resolved.has(this.QUOTE_ASSETS[address].pricedAgainst));
+      if (index === -1) break;
+      const [address] = pending.splice(index, 1);
+      order.push(address);
+      resolved.add(address);
+    }
+    return order;
+  }
+
+  // Register a tracked token as a quote asset once its metadata is known
+  registerTrackedQuote(token) {
+    this.trackedQuotes.set(token.contractAddress.toLowerCase(), {
+      symbol: token.symbol,
+      decimals: token.decimals ?? 18,
+      pricedAgainst: null,
+      tracked: true
+    });
+  }
+
+  setUsdPrice(address, priceUsd, route) {
+    if (!(priceUsd > 0) || route.length - 2 > MAX_HOPS) {
+      return false;
+    }
+    this.usdPrices.set(address.toLowerCase(), { priceUsd, route, updatedAt: new Date() });
+    return true;
+  }
+
+  getUsdPrice(address) {
+    return this.usdPrices.get(address.toLowerCase()) || null;
+  }
+
+  // USD value of a raw amount of a quote asset, or 0 when its price is unknown
+  quoteValueUsd(address, rawAmount) {
+    const asset = this.getQuoteAsset(address);
+    const price = this.getUsdPrice(address);
+    if (!asset || !price) {
+      return 0;
+    }
+
+    const absolute = rawAmount < 0n ? -rawAmount : rawAmount;
+    return Number(ethers.formatUnits(absolute, asset.decimals)) * price.priceUsd;
+  }
+}
+
+// One registry per chain, shared by the tracker, pool discovery and the swap indexer
+const registries = new Map();
+
+function forChain(chainId) {
+  let registry = registries.get(chainId);
+  if (!registry) {
+    registry = new QuoteAssetRegistry(chainId);
+    registries.set(chainId, registry);
+  }
+  return registry;
+}
+
+module.exports = {
+  MAX_HOPS,
+  QuoteAssetRegistry,
+  forChain
+};
@@ -0,0 +1,198 @@
+// services/replayProvider.js
+// A JSON-RPC provider that answers from a recording instead of a node. Requests are pinned
+// to the block the replay has reached, so the tracker reads pool state exactly as it was
+// when each recorded swap happened. In record mode, requests missing from the recording
+// are forwarded to an archive node and stored.
+const { ethers } = require('ethers');
+
+// Block tags that mean "the chain head", i.e. the replay's current block
+const HEAD_TAGS = new Set(['latest', 'pending', 'safe', 'finalized']);
+
+// eth_getLogs ranges fetched from the upstream node per request while recording
+const LOG_CHUNK = parseInt(process.env.REPLAY_LOG_CHUNK) || 2000;
+
+// Parameter index of the block tag, for methods that take one
+const BLOCK_TAG_INDEX = {
+  eth_call: 1,
+  eth_getBalance: 1,
+  eth_getCode: 1,
+  eth_getTransactionCount: 1,
+  eth_getStorageAt: 2,
+  eth_getBlockByNumber: 0
+};
+
+function requestKey(method, params) {
+  return `${method}:${JSON.stringify(params)}`;
+}
+
+function topicMatches(expected, actual) {
+  if (expected === null || expected === undefined) {
+    return true;
+  }
+  const options = Array.isArray(expected) ? expected : [expected];
+  return options.some(topic => topic.toLowerCase() === (actual || '').toLowerCase());
+}
+
+function logMatches(filter, log) {
+  if (filter.address) {
+    const addresses = (Array.isArray(filter.address) ? filter.address : [filter.address]).map(a => a.toLowerCase());
+    if (!addresses.includes(log.address.toLowerCase())) {
+      return false;
+    }
+  }
+  return (filter.topics || []).every((topic, index) => topicMatches(topic, log.topics[index]));
+}
+
+function compareLogs(a, b) {
+  return Number(a.blockNumber) - Number(b.blockNumber) || Number(a.logIndex) - Number(b.logIndex);
+}
+
+class ReplayProvider extends ethers.JsonRpcApiProvider {
+  // `recording`: { chainId, logs, rpc } as written by toJSON(). `upstream` (record mode only):
+  // a JsonRpcProvider for an archive node that serves historical state.
+  constructor(recording, { upstream = null } = {}) {
+    const network = ethers.Network.from(recording.chainId);
+    // No request sharing between calls: identical "latest" requests differ once the block moves
+    super(network, { staticNetwork: network, batchMaxCount: 1, cacheTimeout: -1 });
+
+    this.chainId = recording.chainId;
+    this.upstream = upstream;
+    this.blockNumber = null;
+    this.logs = [...(recording.logs || [])].sort(compareLogs);
+    // request key -> { method, params, result } or { method, params, error }
+    this.responses = new Map((recording.rpc || []).map(entry => [requestKey(entry.method, entry.params), entry]));
+    this.missing = 0;
+  }
+
+  get recording() {
+    return Boolean(this.upstream);
+  }
+
+  // Move the replay clock; "latest" means this block from now on
+  setBlock(blockNumber) {
+    this.blockNumber = blockNumber;
+  }
+
+  // Store the raw logs matching each filter ({ address, topics }) over a block range
+  async recordLogs(filters, fromBlock, toBlock) {
+    const seen = new Set(this.logs.map(log => `${log.transactionHash}:${log.logIndex}`));
+
+    for (const filter of filters) {
+      for (let start = fromBlock; start <= toBlock; start += LOG_CHUNK) {
+        const end = Math.min(start + LOG_CHUNK - 1, toBlock);
+        const logs = await this.upstream.send('eth_getLogs', [{
+          ...filter,
+          fromBlock: ethers.toQuantity(start),
+          toBlock: ethers.toQuantity(end)
+        }]);
+        for (const log of logs) {
+          const id = `${log.transactionHash}:${log.logIndex}`;
+          if (!seen.has(id) && !log.removed) {
+            seen.add(id);
+            this.logs.push(log);
+          }
+        }
+      }
+    }
+
+    this.logs.sort(compareLogs);
+  }
+
+  // Blocks that contain at least one recorded log, in order
+  getLogBlocks() {
+    return [...new Set(this.logs.map(log => Number(log.blockNumber)))];
+  }
+
+  pinParams(method, params = []) {
+    const pinned = [...params];
+    const head = ethers.toQuantity(this.blockNumber);
+
+    if (method === 'eth_getLogs') {
+      const filter = { ...pinned[0] };
+      for (const field of ['fromBlock', 'toBlock']) {
+        if (filter[field] === undefined || HEAD_TAGS.has(filter[field])) {
+          filter[field] = head;
+        }
+      }
+      pinned[0] = filter;
+      return pinned;
+    }
+
+    const index = BLOCK_TAG_INDEX[method];
+    if (index !== undefined && (pinned[index] === undefined || HEAD_TAGS.has(pinned[index]))) {
+      pinned[index] = head;
+    }
+    return pinned;
+  }
+
+  async answer(method, params) {
+    if (method === 'eth_chainId') {
+      return { result: ethers.toQuantity(this.chainId) };
+    }
+    if (method === 'eth_blockNumber') {
+      return { result: ethers.toQuantity(this.blockNumber) };
+    }
+
+    const pinned = this.pinParams(method, params);
+
+    if (method === 'eth_getLogs') {
+      const [filter] = pinned;
+      const from = Number(filter.fromBlock);
+      const to = Math.min(Number(filter.toBlock), this.blockNumber);
+      const logs = this.logs.filter(log => {
+        const block = Number(log.blockNumber);
+        return block >= from && block <= to && logMatches(filter, log);
+      });
+      return { result: logs };
+    }
+
+    const key = requestKey(method, pinned);
+    const stored = this.responses.get(key);
+    if (stored) {
+      return stored.error ? { error: stored.error } : { result: stored.result };
+    }
+
+    if (!this.recording) {
+      this.missing++;
+      return { error: { code: -32000, message: `not in recording: ${method} ${JSON.stringify(pinned)}` } };
+    }
+
+    const [response] = await this.upstream._send({ method, params: pinned, id: 1, jsonrpc: '2.0' });
+    const entry = response.error
+      ? { method, params: pinned, error: response.error }
+      : { method, params: pinned, result: response.result };
+    this.responses.set(key, entry);
+    return entry.error ? { error: entry.error } : { result: entry.result };
+  }
+
+  async _send(payload) {
+    const requests = Array.isArray(payload) ? payload : [payload];
+    const responses = [];
+    for (const { id, method, params } of requests) {
+      try {
+        responses.push({ id, ...(await this.answer(method, params)) });
+      } catch (error) {
+        responses.push({ id, error: { code: -32603, message: error.message } });
+      }
+    }
+    return responses;
+  }
+
+  // Nothing is ever pushed: the replay driver feeds the recorded logs to the tracker itself
+  _getSubscriber() {
+    return { start() {}, stop() {}, pause() {}, resume() {} };
+  }
+
+  toJSON() {
+    return {
+      chainId: this.chainId,
+      logs: this.logs,
+      rpc: [...this.responses.values()]
+    };
+  }
+}
+
+module.exports = {
+  ReplayProvider,
+  requestKey
+};
@@ -0,0 +1,232 @@
+// services/replayService.js
+// Runs the tracker's pricing and persistence pipeline over a recording of chain data:
+// the same subscriptions, swap handling, liquidity and trade-stat updates as live, fed
+// block by block from recorded Swap logs instead of a WebSocket. Replaying a recording
+// into an empty database always produces the same swaps, candles and prices.
+//
+// Rolling trade-stat windows are measured against the wall clock, so they only carry
+// values when the recorded blocks are recent.
+const fs = require('fs');
+const { ethers } = require('ethers');
+
+const Token = require('../models/Token');
+const Swap = require('../models/Swap');
+const liquidityService = require('./liquidityService');
+const tradeStatsService = require('./tradeStatsService');
+const { ReplayProvider } = require('./replayProvider');
+const { TokenPriceTracker } = require('./tokenDataService');
+const { getAdapter } = require('./dexAdapters');
+const { getTokenMetadata } = require('./multicall');
+const { getChain } = require('./chains');
+
+const RECORDING_VERSION = 1;
+
+// Quote-asset USD prices are refreshed every minute live, i.e. about every 30 Base blocks
+const QUOTE_REFRESH_BLOCKS = parseInt(process.env.REPLAY_QUOTE_REFRESH_BLOCKS) || 30;
+
+function readRecording(file) {
+  const recording = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (recording.version !== RECORDING_VERSION) {
+    throw new Error(`Unsupported recording version ${recording.version} in ${file}`);
+  }
+  return recording;
+}
+
+function writeRecording(file, recording) {
+  fs.writeFileSync(file, JSON.stringify(recording));
+}
+
+class Replay {
+  // `recording`: { chain, fromBlock, toBlock, tokens, logs, rpc }. Pass `upstream` to record:
+  // requests missing from the recording are then fetched from that archive node.
+  constructor(recording, { upstream = null } = {}) {
+    this.chain = getChain(recording.chain);
+    this.fromBlock = recording.fromBlock;
+    this.toBlock = recording.toBlock;
+    this.tokens = recording.tokens.map(address => address.toLowerCase());
+
+    this.provider = new ReplayProvider({ chainId: this.chain.chainId, ...recording }, { upstream });
+    this.tracker = new TokenPriceTracker({ chain: this.chain.id, provider: this.provider, indexHolders: false });
+  }
+
+  // Token documents for the recorded tokens, created from their on-chain metadata if missing
+  async ensureTokens() {
+    const existing = await Token.find({ chain: this.chain.id, contractAddress: { $in: this.tokens } });
+    const known = new Set(existing.map(token => token.contractAddress));
+    const missing = this.tokens.filter(address => !known.has(address));
+    if (missing.length === 0) {
+      return;
+    }
+
+    const metadata = await getTokenMetadata(this.provider, missing);
+    for (const address of missing) {
+      const entry = metadata[address];
+      if (!entry.symbol || entry.totalSupply === null) {
+        throw new Error(`Not a standard ERC-20: ${address}`);
+      }
+      await Token.create({
+        chain: this.chain.id,
+        contractAddress: address,
+        name: entry.name || entry.symbol,
+        symbol: entry.symbol,
+        decimals: entry.decimals ?? 18,
+        total_supply: Number(entry.totalSupply),
+        total_supply_raw: entry.totalSupply.toString(),
+        deployer: ethers.ZeroAddress
+      });
+    }
+  }
+
+  // Swap event sources to replay: the WETH/USDC pool and each token's primary pool
+  async openSources() {
+    const sources = [];
+
+    const wethPool = await this.tracker.findWethUsdcPool();
+    if (wethPool) {
+      const pool = { address: wethPool.toLowerCase(), dex: 'uniswap-v3' };
+      sources.push({ pool, weth: true, ...getAdapter(pool.dex).getSwapSubscription(this.provider, pool) });
+    }
+
+    for (const address of this.tokens) {
+      const subscription = await this.tracker.subscribeToToken(address);
+      if (!subscription) {
+        console.warn(`No pool found for ${address}; its swaps are not replayed`);
+        continue;
+      }
+      // The first catch-up only sets the pool's checkpoint to the block before the range
+      await subscription.catchUp;
+      sources.push({
+        pool: subscription.pool,
+        token: subscription.token,
+        subscription,
+        ...getAdapter(subscription.pool.dex).getSwapSubscription(this.provider, subscription.pool)
+      });
+    }
+    return sources;
+  }
+
+  async recordSourceLogs(sources) {
+    const filters = await Promise.all(sources.map(async ({ contract, filter }) => {
+      const event = typeof filter === 'string' ? contract.filters[filter]() : filter;
+      return { address: await contract.getAddress(), topics: await event.getTopicFilter() };
+    }));
+    await this.provider.recordLogs(filters, this.fromBlock, this.toBlock);
+  }
+
+  // The block's swaps across all sources, in log order
+  async getBlockEvents(sources, blockNumber) {
+    const events = [];
+    for (const source of sources) {
+      const logs = await source.contract.queryFilter(source.filter, blockNumber, blockNumber);
+      events.push(...logs.map(log => ({ source, log })));
+    }
+    return events.sort((a, b) => a.log.index - b.log.index);
+  }
+
+  async run() {
+    // State as of the block before the range
+    this.provider.setBlock(this.fromBlock - 1);
+    await this.ensureTokens();
+    await this.tracker.retrieveInitialWethPrice();
+    await this.tracker.refreshQuoteAssetPrices();
+
+    const sources = await this.openSources();
+    if (this.provider.recording) {
+      await this.recordSourceLogs(sources);
+    }
+
+    const blocks = this.provider.getLogBlocks().filter(block => block >= this.fromBlock && block <= this.toBlock);
+    let lastQuoteRefresh = this.fromBlock - 1;
+    let swaps = 0;
+
+    for (const blockNumber of blocks) {
+      this.provider.setBlock(blockNumber);
+
+      if (blockNumber - lastQuoteRefresh >= QUOTE_REFRESH_BLOCKS) {
+        await this.tracker.refreshQuoteAssetPrices();
+        lastQuoteRefresh = blockNumber;
+      }
+
+      for (const { source, log } of await this.getBlockEvents(sources, blockNumber)) {
+        if (source.weth) {
+          await this.tracker.handleWethSwap(log.args[4]);
+        } else {
+          await this.tracker.handleSwap(source.pool, source.token, log, source.subscription);
+        }
+        swaps++;
+      }
+
+      // Debounced updates run at the block they were triggered in, not seconds later
+      await liquidityService.flushUpdates();
+      await tradeStatsService.flushUpdates();
+    }
+
+    return this.summarize(blocks.length, swaps);
+  }
+
+  async summarize(blocks, swaps) {
+    const tokens = await Token.find({ chain: this.chain.id, contractAddress: { $in: this.tokens } }).lean();
+    return {
+      chain: this.chain.id,
+      fromBlock: this.fromBlock,
+      toBlock: this.toBlock,
+      blocks,
+      swaps,
+      storedSwaps: await Swap.countDocuments({ chain: this.chain.id }),
+      missingResponses: this.provider.missing,
+      tokens: tokens.map(token => ({
+        contractAddress: token.contractAddress,
+        symbol: token.symbol,
+        price_usd: token.price_usd,
+        market_cap_usd: token.market_cap_usd,
+        last_trade: token.last_trade
+      }))
+    };
+  }
+
+  // The recording, including everything fetched from the upstream node during this run
+  toJSON() {
+    return {
+      version: RECORDING_VERSION,
+      chain: this.chain.id,
+      fromBlock: this.fromBlock,
+      toBlock: this.toBlock,
+      tokens: this.tokens,
+      ...this.provider.toJSON()
+    };
+  }
+}
+
+// Fetch everything a replay of the tokens over [fromBlock, toBlock] needs and write it to `file`
+async function record(file, { chain, fromBlock, toBlock, tokens, rpcUrl }) {
+  const chainConfig = getChain(chain);
+  const upstream = new ethers.JsonRpcProvider(rpcUrl || chainConfig.rpcUrl, chainConfig.chainId, { staticNetwork: true });
+  const run = new Replay({ chain: chainConfig.id, fromBlock, toBlock, tokens }, { upstream });
+  try {
+    const summary = await run.run();
+    writeRecording(file, run.toJSON());
+    return summary;
+  } finally {
+    run.provider.destroy();
+    upstream.destroy();
+  }
+}
+
+// Replay a recording with no network access
+async function replay(file) {
+  const run = new Replay(readRecording(file));
+  try {
+    return await run.run();
+  } finally {
+    run.provider.destroy();
+  }
+}
+
+module.exports = {
+  RECORDING_VERSION,
+  Replay,
+  readRecording,
+  writeRecording,
+  record,
+  replay
+};
@@ -0,0 +1,108 @@
+// services/responseCache.js
+const crypto = require('crypto');
+const { tokenEvents } = require('./tokenEvents');
+const { DEFAULT_CHAIN } = require('./chains');
+
+// An entry is served for at least MIN_AGE, then until a token on one of its chains changes,
+// and never for longer than MAX_AGE. Under constant swaps that is one query per MIN_AGE per
+// distinct request; when prices are quiet, one per MAX_AGE. MAX_AGE also bounds how stale
+// writes that publish no event (price change percentages, liquidity) can be.
+const MIN_AGE = (parseFloat(process.env.RESPONSE_CACHE_MIN_AGE) || 2) * 1000;
+const MAX_AGE = (parseFloat(process.env.RESPONSE_CACHE_MAX_AGE) || 30) * 1000;
+const MAX_ENTRIES = parseInt(process.env.RESPONSE_CACHE_MAX_ENTRIES) || 500;
+
+// Caches serialized JSON responses of the list endpoints, keyed by route and query string
+class ResponseCache {
+  constructor() {
+    this.entries = new Map();
+    this.pending = new Map();
+    // chain -> time of the latest price write published for it
+    this.changedAt = new Map();
+
+    const markChanged = (token) => this.markChanged(token.chain || DEFAULT_CHAIN);
+    tokenEvents.on('tokenUpdated', markChanged);
+    tokenEvents.on('tokenCreated', markChanged);
+  }
+
+  markChanged(chain, time = Date.now()) {
+    this.changedAt.set(chain, time);
+  }
+
+  // Route name plus the query parameters in a fixed order, so equivalent URLs share an entry
+  keyFor(name, query) {
+    const params = Object.keys(query).sort().map(param => [param, query[param]]);
+    return `${name}:${JSON.stringify(params)}`;
+  }
+
+  isFresh(entry, now) {
+    const age = now - entry.builtAt;
+    if (age < MIN_AGE) return true;
+    if (age >= MAX_AGE) return false;
+    return entry.chains.every(chain => !(this.changedAt.get(chain) > entry.builtAt));
+  }
+
+  // The cached entry for `key`, or a new one from `build()`. Concurrent misses for the same
+  // key share one build. Failed builds are not cached.
+  async get(key, chains, build) {
+    const entry = this.entries.get(key);
+    if (entry && this.isFresh(entry, Date.now())) {
+      return entry;
+    }
+
+    if (this.pending.has(key)) {
+      return this.pending.get(key);
+    }
+
+    const promise = (async () => {
+      const builtAt = Date.now();
+      const payload = await build();
+      const body = JSON.stringify(payload);
+      const built = {
+        payload,
+        body,
+        chains,
+        builtAt,
+        etag: `W/"${crypto.createHash('sha1').update(body).digest('base64url')}"`,
+        // Rebuilt identical content keeps its original Last-Modified
+        lastModified: entry && entry.body === body ? entry.lastModified : new Date(builtAt)
+      };
+      this.set(key, built);
+      return built;
+    })();
+
+    this.pending.set(key, promise);
+    try {
+      return await promise;
+    } finally {
+      this.pending.delete(key);
+    }
+  }
+
+  set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    // Maps iterate in insertion order, so the first key is the least recently built
+    if (this.entries.size > MAX_ENTRIES) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  // Send an entry with validators, answering conditional requests with 304
+  send(req, res, entry) {
+    res.set({
+      'ETag': entry.etag,
+      'Last-Modified': entry.lastModified.toUTCString(),
+      'Cache-Control': 'no-cache'
+    });
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+    res.type('json').send(entry.body);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+module.exports = new ResponseCache();
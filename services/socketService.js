@@ -0,0 +1,193 @@
+// services/socketService.js
+const { Server } = require('socket.io');
+const { ethers } = require('ethers');
+const Token = require('../models/Token');
+const tokenDataService = require('./tokenDataService');
+const { DEFAULT_CHAIN, resolveChain, isEnabled } = require('./chains');
+const { tokenEvents } = require('./tokenEvents');
+const { RANKING_LIQUIDITY_MATCH } = require('./liquidityService');
+
+const TOP_TOKENS_ROOM = 'top-tokens';
+const NEW_TOKENS_ROOM = 'new-tokens';
+const TOP_TOKENS_REFRESH_INTERVAL = 60 * 1000;
+
+let io = null;
+let topTokenKeys = new Set();
+let topTokensTimer = null;
+
+function tokenKey(chain, contractAddress) {
+  return `${chain}:${contractAddress.toLowerCase()}`;
+}
+
+function tokenRoom(chain, contractAddress) {
+  return `token:${tokenKey(chain, contractAddress)}`;
+}
+
+// { chain, contractAddress } of a token room, or null for other rooms
+function tokenFromRoom(room) {
+  if (!room.startsWith('token:')) {
+    return null;
+  }
+  const [chain, contractAddress] = room.slice('token:'.length).split(':');
+  return { chain, contractAddress };
+}
+
+// Map a channel requested by a client to a room name, or null if it is invalid.
+// Token channels are "<chain>:<address>", or a bare address on the default chain.
+function resolveRoom(channel) {
+  if (channel === TOP_TOKENS_ROOM || channel === NEW_TOKENS_ROOM) {
+    return channel;
+  }
+  if (typeof channel !== 'string') {
+    return null;
+  }
+
+  const [chainPart, address] = channel.includes(':') ? channel.split(':') : [DEFAULT_CHAIN, channel];
+  const chain = resolveChain(chainPart);
+  if (chain && isEnabled(chain) && ethers.isAddress(address)) {
+    return tokenRoom(chain, address);
+  }
+  return null;
+}
+
+// Keep the set of top market cap tokens so their updates also reach the top-tokens room
+async function refreshTopTokens() {
+  try {
+    const topTokens = await Token.find({
+      price_usd: { $gt: 0 },
+      market_cap_usd_twap: { $gt: 5000 },
+      ...RANKING_LIQUIDITY_MATCH
+    })
+      .sort({ market_cap_usd_twap: -1 })
+      .limit(100)
+      .select('chain contractAddress')
+      .lean();
+
+    topTokenKeys = new Set(topTokens.map(token => tokenKey(token.chain, token.contractAddress)));
+  } catch (error) {
+    console.error('Error refreshing top tokens for Socket.IO:', error);
+  }
+}
+
+// Compact payload pushed to clients on every price, market cap or volume change
+function toUpdatePayload(update) {
+  return {
+    chain: update.chain,
+    address: update.contractAddress,
+    symbol: update.symbol,
+    price: update.price_usd,
+    marketCap: update.market_cap_usd,
+    volume24h: update.volume_usd_24h,
+    liquidity: update.liquidity_usd,
+    ts: new Date(update.last_updated).getTime()
+  };
+}
+
+function handleTokenUpdated(update) {
+  if (!io) return;
+
+  const payload = toUpdatePayload(update);
+  io.to(tokenRoom(update.chain, update.contractAddress)).emit('token:update', payload);
+
+  if (topTokenKeys.has(tokenKey(update.chain, update.contractAddress))) {
+    io.to(TOP_TOKENS_ROOM).emit('token:update', payload);
+  }
+}
+
+function handleTokenCreated(token) {
+  if (!io) return;
+
+  io.to(NEW_TOKENS_ROOM).emit('token:new', {
+    chain: token.chain,
+    address: token.contractAddress.toLowerCase(),
+    name: token.name,
+    symbol: token.symbol,
+    deployer: token.deployer,
+    createdAt: token.createdAt
+  });
+}
+
+function initializeSocket(server) {
+  if (io) {
+    return io;
+  }
+
+  io = new Server(server, {
+    cors: {
+      origin: process.env.FRONTEND_URL || '*',
+      methods: ['GET', 'POST']
+    }
+  });
+
+  io.on('connection', (socket) => {
+    // Clients send '<chain>:<address>', a contract address, 'top-tokens' or 'new-tokens'
+    socket.on('subscribe', (channel, ack) => {
+      const room = resolveRoom(channel);
+      if (room && !socket.rooms.has(room)) {
+        socket.join(room);
+
+        // Keep the token's pool listener alive while this client is watching it
+        const token = tokenFromRoom(room);
+        if (token) {
+          tokenDataService.retainToken(token.chain, token.contractAddress)
+            .catch(error => console.error(`Error retaining ${room}:`, error));
+        }
+      }
+      if (typeof ack === 'function') {
+        ack(room ? { ok: true, room } : { ok: false, error: 'Invalid channel' });
+      }
+    });
+
+    socket.on('unsubscribe', (channel, ack) => {
+      const room = resolveRoom(channel);
+      if (room && socket.rooms.has(room)) {
+        socket.leave(room);
+
+        const token = tokenFromRoom(room);
+        if (token) {
+          tokenDataService.releaseToken(token.chain, token.contractAddress);
+        }
+      }
+      if (typeof ack === 'function') {
+        ack({ ok: Boolean(room) });
+      }
+    });
+
+    // Rooms are still populated while disconnecting, so release held tokens here
+    socket.on('disconnecting', () => {
+      for (const room of socket.rooms) {
+        const token = tokenFromRoom(room);
+        if (token) {
+          tokenDataService.releaseToken(token.chain, token.contractAddress);
+        }
+      }
+    });
+  });
+
+  tokenEvents.on('tokenUpdated', handleTokenUpdated);
+  tokenEvents.on('tokenCreated', handleTokenCreated);
+
+  refreshTopTokens();
+  topTokensTimer = setInterval(refreshTopTokens, TOP_TOKENS_REFRESH_INTERVAL);
+
+  console.log('Socket.IO server attached');
+  return io;
+}
+
+// Disconnect clients without closing the underlying HTTP server
+function closeSocket() {
+  if (!io) return;
+
+  clearInterval(topTokensTimer);
+  tokenEvents.off('tokenUpdated', handleTokenUpdated);
+  tokenEvents.off('tokenCreated', handleTokenCreated);
+  io.disconnectSockets(true);
+  io = null;
+}
+
+module.exports = {
+  initializeSocket,
+  closeSocket,
+  TOP_TOKENS_ROOM,
+  NEW_TOKENS_ROOM
+};
@@ -0,0 +1,220 @@
+// services/swapIndexer.js
+const { ethers } = require('ethers');
+const mongoose = require('mongoose');
+const Pool = require('../models/Pool');
+const Swap = require('../models/Swap');
+const Token = require('../models/Token');
+const candleService = require('./candleService');
+const tradeStatsService = require('./tradeStatsService');
+const metrics = require('./metrics');
+const fixedPoint = require('./fixedPoint');
+const quoteAssets = require('./quoteAssets');
+const { getAdapter, getSwapAmounts, getSwapPriceInQuote } = require('./dexAdapters');
+
+const BLOCK_CACHE_SIZE = 5000;
+
+// Turns Swap logs into stored swaps and candles, exactly once per log, and keeps a
+// per-pool checkpoint of the last fully processed block so missed ranges can be replayed.
+// A swap, its volume and its candles are written in one transaction (MongoDB must run as a
+// replica set, as the token change stream already requires).
+class SwapIndexer {
+  // `provider` is a provider, or a function returning the provider to use for each call.
+  // `options.priceQuotesAt(blockNumber)`, if given, runs before each replayed swap so
+  // historical swaps are valued at the quote-asset USD prices of their own block.
+  constructor(provider, options = {}) {
+    this.providerSource = provider;
+    this.priceQuotesAt = options.priceQuotesAt || null;
+    this.chunkSize = options.chunkSize || parseInt(process.env.INDEXER_CHUNK_SIZE) || 2000;
+    this.maxCatchUpBlocks = options.maxCatchUpBlocks || parseInt(process.env.INDEXER_MAX_CATCHUP_BLOCKS) || 43200;
+    this.blockTimestamps = new Map();
+  }
+
+  get provider() {
+    return typeof this.providerSource === 'function' ? this.providerSource() : this.providerSource;
+  }
+
+  async getBlockTimestamp(blockNumber) {
+    let timestamp = this.blockTimestamps.get(blockNumber);
+    if (!timestamp) {
+      const block = await this.provider.getBlock(blockNumber);
+      timestamp = new Date(block.timestamp * 1000);
+
+      this.blockTimestamps.set(blockNumber, timestamp);
+      if (this.blockTimestamps.size > BLOCK_CACHE_SIZE) {
+        this.blockTimestamps.delete(this.blockTimestamps.keys().next().value);
+      }
+    }
+    return timestamp;
+  }
+
+  // USD price and volume of a swap, from the price the swap itself implies
+  valueSwap(pool, swap, tokenDecimals = 18) {
+    const quotes = quoteAssets.forChain(pool.chain);
+    const quote = quotes.getQuoteAsset(pool.quoteAddress);
+    const quotePrice = quotes.getUsdPrice(pool.quoteAddress);
+    if (!quote || !quotePrice) {
+      return { priceUsd: 0, volumeUsd: 0 };
+    }
+
+    const priceInQuote = getSwapPriceInQuote(pool, swap, tokenDecimals, quote.decimals);
+    const { quoteAmount } = getSwapAmounts(pool, swap);
+
+    return {
+      priceUsd: fixedPoint.toNumber(fixedPoint.mul(priceInQuote, fixedPoint.fromNumber(quotePrice.priceUsd))),
+      volumeUsd: quotes.quoteValueUsd(pool.quoteAddress, quoteAmount)
+    };
+  }
+
+  // Process one decoded Swap log. Returns null when the log was already processed.
+  // Live logs checkpoint the block before theirs: the rest of their block may still be
+  // unseen, and a catch-up re-scanning it skips what was stored.
+  async processLog(pool, token, log, { advanceCheckpoint = true } = {}) {
+    const swap = getAdapter(pool.dex).normalizeSwap(log.args);
+    const timestamp = await this.getBlockTimestamp(log.blockNumber);
+    const decimals = token.decimals ?? 18;
+    const { priceUsd, volumeUsd } = this.valueSwap(pool, swap, decimals);
+    const { tokenAmount } = getSwapAmounts(pool, swap);
+    const absoluteTokenAmount = tokenAmount < 0n ? -tokenAmount : tokenAmount;
+
+    const record = {
+      chain: token.chain,
+      transactionHash: log.transactionHash,
+      logIndex: log.index,
+      blockNumber: log.blockNumber,
+      timestamp,
+      tokenAddress: token.contractAddress,
+      poolAddress: pool.address,
+      dex: pool.dex,
+      amount0: swap.amount0.toString(),
+      amount1: swap.amount1.toString(),
+      side: tokenAmount < 0n ? 'buy' : 'sell',
+      trader: swap.trader || null,
+      token_amount_raw: absoluteTokenAmount.toString(),
+      token_amount: Number(ethers.formatUnits(absoluteTokenAmount, decimals)),
+      price_usd: priceUsd,
+      volume_usd: volumeUsd
+    };
+
+    // The insert is the idempotency key; volume and candles commit with it or not at all,
+    // so a retry after any failure either redoes everything or finds the swap stored
+    try {
+      await mongoose.connection.transaction(async (session) => {
+        await Swap.create([record], { session });
+
+        await Token.updateOne(
+          { chain: token.chain, contractAddress: token.contractAddress },
+          { $inc: { volume_usd_total: volumeUsd }, $max: { last_trade_at: timestamp } },
+          { session }
+        );
+
+        await candleService.recordSwap(
+          token.chain,
+          token.contractAddress,
+          priceUsd,
+          volumeUsd,
+          timestamp,
+          candleService.swapSequence(log.blockNumber, log.index),
+          { session }
+        );
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return null;
+      }
+      throw error;
+    }
+
+    if (advanceCheckpoint) {
+      await this.setCheckpoint(pool, log.blockNumber - 1);
+    }
+
+    metrics.recordSwapProcessed(token.chain, pool.dex);
+
+    tradeStatsService.scheduleUpdate(token.chain, token.contractAddress);
+
+    return {
+      swap,
+      side: tokenAmount < 0n ? 'buy' : 'sell',
+      priceUsd,
+      volumeUsd,
+      timestamp,
+      blockNumber: log.blockNumber
+    };
+  }
+
+  async getCheckpoint(pool) {
+    const stored = await Pool.findOne({ chain: pool.chain, tokenAddress: pool.tokenAddress, address: pool.address })
+      .select('last_indexed_block')
+      .lean();
+    return stored?.last_indexed_block || 0;
+  }
+
+  async setCheckpoint(pool, blockNumber) {
+    await Pool.updateOne(
+      { chain: pool.chain, tokenAddress: pool.tokenAddress, address: pool.address },
+      { $max: { last_indexed_block: blockNumber } }
+    );
+  }
+
+  // Replay every Swap log of a pool in [fromBlock, toBlock], in chunks
+  async indexRange(pool, token, fromBlock, toBlock) {
+    const { contract, filter } = getAdapter(pool.dex).getSwapSubscription(this.provider, pool);
+    let processed = 0;
+
+    for (let start = fromBlock; start <= toBlock; start += this.chunkSize) {
+      const end = Math.min(start + this.chunkSize - 1, toBlock);
+      const logs = await contract.queryFilter(filter, start, end);
+      logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+      for (const log of logs) {
+        if (this.priceQuotesAt) {
+          await this.priceQuotesAt(log.blockNumber);
+        }
+        if (await this.processLog(pool, token, log, { advanceCheckpoint: false })) {
+          processed++;
+        }
+      }
+
+      // The checkpoint only moves once the whole chunk is stored
+      await this.setCheckpoint(pool, end);
+      console.log(`Indexed ${token.symbol} ${pool.dex}:${pool.address} blocks ${start}-${end} (${logs.length} swaps)`);
+    }
+
+    return processed;
+  }
+
+  // Catch up from the pool's checkpoint to the chain head. Pools seen for the first
+  // time start at the head; history is only replayed by an explicit backfill.
+  async catchUp(pool, token) {
+    const latest = await this.provider.getBlockNumber();
+    const checkpoint = await this.getCheckpoint(pool);
+
+    if (!checkpoint) {
+      await this.setCheckpoint(pool, latest);
+      return 0;
+    }
+
+    let fromBlock = checkpoint + 1;
+    if (fromBlock > latest) {
+      return 0;
+    }
+    if (latest - fromBlock > this.maxCatchUpBlocks) {
+      console.warn(`Gap of ${latest - fromBlock} blocks for ${token.symbol} exceeds the catch-up limit; run a backfill for the rest`);
+      fromBlock = latest - this.maxCatchUpBlocks;
+    }
+
+    return this.indexRange(pool, token, fromBlock, latest);
+  }
+
+  // Replay a token's swap history in a pool from a given block (its creation block by default)
+  async backfill(pool, token, fromBlock = token.blockNumber) {
+    if (!fromBlock) {
+      throw new Error(`No creation block known for ${token.symbol}; pass a starting block`);
+    }
+
+    const latest = await this.provider.getBlockNumber();
+    return this.indexRange(pool, token, fromBlock, latest);
+  }
+}
+
+module.exports = SwapIndexer;
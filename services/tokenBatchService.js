@@ -1,41 +1,41 @@
-const { ethers } = require('ethers');
 const cron = require('node-cron');
-const axios = require('axios');
 const Token = require('../models/Token');
+const providerManager = require('./providerManager');
+const poolDiscovery = require('./poolDiscovery');
+const liquidityService = require('./liquidityService');
+const { getEnabledChains } = require('./chains');
+const { multicall, erc20Call } = require('./multicall');
+const { MARKET_DATA_FIELDS, fetchMarketData } = require('./marketDataProviders');
+const { publishTokenUpdate } = require('./tokenEvents');
+const { batchDuration, marketDataMisses } = require('./metrics');
 require('dotenv').config();
 
-// Create a configured axios instance for GeckoTerminal
-const geckoTerminalApi = axios.create({
-  baseURL: 'https://api.geckoterminal.com/api/v2',
-  timeout: 30000,
-  headers: {
-    'Accept': 'application/json'
-  }
-});
+// Subscribed tokens re-read their reserves on every swap; the batch refreshes the rest
+const LIQUIDITY_REFRESH_INTERVAL = 15 * 60 * 1000;
 
 class TokenBatchProcessor {
   constructor() {
-    this.wsProvider = null;
+    this.cronJob = null;
     this.batchSize = 30;
     this.processingInterval = 2000; // 2 seconds between batches
   }
 
   async initialize() {
     try {
-      // Connect to WebSocket provider
-      this.wsProvider = new ethers.WebSocketProvider(process.env.WS_RPC_URL);
-      console.log('WebSocket provider connected');
+      // Reads go through each chain's shared provider (HTTP fallback while the socket is down)
+      await providerManager.startAll();
 
       // Initial processing
       await this.processTokensInBatches();
 
-      // Schedule processing every 5 minutes
-      cron.schedule('*/5 * * * *', async () => {
-        console.log('Running scheduled token price update...');
-        await this.processTokensInBatches();
-      });
-
-      console.log('Price updates scheduled for every 5 minutes');
+      // Schedule processing every 5 minutes, once, even if initialization is retried
+      if (!this.cronJob) {
+        this.cronJob = cron.schedule('*/5 * * * *', async () => {
+          console.log('Running scheduled token price update...');
+          await this.processTokensInBatches();
+        });
+        console.log('Price updates scheduled for every 5 minutes');
+      }
     } catch (error) {
       console.error('Initialization Error:', error);
       this.reconnect();
@@ -48,23 +48,30 @@ class TokenBatchProcessor {
   }
 
   async processTokensInBatches() {
+    for (const chain of getEnabledChains()) {
+      await this.processChain(chain);
+    }
+  }
+
+  // Batches never mix chains: supplies and market data are fetched per network
+  async processChain(chain) {
     try {
       // Get all tokens that need updating (sorted by last_batch_update)
-      const tokens = await Token.find({})
+      const tokens = await Token.find({ chain })
         .sort({ last_batch_update: 1 })  // Sort by last batch update time
         .limit(300); // Process up to 300 tokens at a time
 
       if (tokens.length === 0) {
-        console.log('No tokens found to process');
+        console.log(`No ${chain} tokens found to process`);
         return;
       }
 
-      console.log(`Processing ${tokens.length} tokens in batches of ${this.batchSize}`);
+      console.log(`Processing ${tokens.length} ${chain} tokens in batches of ${this.batchSize}`);
 
       // Process tokens in batches
       for (let i = 0; i < tokens.length; i += this.batchSize) {
         const batch = tokens.slice(i, i + this.batchSize);
-        await this.processBatch(batch);
+        await this.processBatch(chain, batch);
 
         // Wait before processing next batch to respect rate limits
         if (i + this.batchSize < tokens.length) {
@@ -72,96 +79,141 @@ class TokenBatchProcessor {
         }
       }
     } catch (error) {
-      console.error('Error processing tokens:', error);
+      console.error(`Error processing ${chain} tokens:`, error);
     }
   }
 
-  async fetchGeckoTerminalData(tokenAddresses) {
+  // totalSupply for the whole batch in one multicall, keyed by lowercase address.
+  // Tokens whose call reverts are missing from the result; a hung RPC gives up after 10s.
+  async fetchTotalSupplies(chain, tokenAddresses) {
     try {
-      // Format addresses for GeckoTerminal (comma-separated, URL encoded)
-      const addressesParam = tokenAddresses.map(addr => addr.toLowerCase()).join('%2C');
-      
-      console.log(`Fetching GeckoTerminal data for ${tokenAddresses.length} tokens`);
-      
-      const response = await geckoTerminalApi.get(`/networks/base/tokens/multi/${addressesParam}`);
-      
-      if (response.data && response.data.data) {
-        const result = {};
-        response.data.data.forEach(token => {
-          const attributes = token.attributes;
-          const address = token.id.split('_')[1].toLowerCase();
-          
-          // Get the first pool address if available
-          const poolAddress = token.relationships?.top_pools?.data?.[0]?.id?.split('_')[1] || null;
-          
-          result[address] = {
-            price_usd: parseFloat(attributes.price_usd || 0),
-            volume_usd_24h: parseFloat(attributes.volume_usd?.h24 || 0),
-            total_supply: parseFloat(attributes.total_supply || 0),
-            decimals: parseInt(attributes.decimals || 18),
-            pool_address: poolAddress
-          };
-        });
-        return result;
-      }
-      return {};
+      const supplyPromise = multicall(
+        providerManager.forChain(chain).getReadProvider(),
+        tokenAddresses.map(address => erc20Call(address, 'totalSupply'))
+      );
+      const timeoutPromise = new Promise((_, reject) =>
+        setTimeout(() => reject(new Error('Timeout')), 10000)
+      );
+      const results = await Promise.race([supplyPromise, timeoutPromise]);
+
+      const supplies = {};
+      results.forEach((result, index) => {
+        if (result.success) {
+          supplies[tokenAddresses[index].toLowerCase()] = result.value;
+        }
+      });
+      return supplies;
     } catch (error) {
-      console.error('Error fetching GeckoTerminal data:', error.response?.data || error.message);
+      console.warn(`Failed to fetch totalSupply for ${chain} batch: ${error.message}`);
       return {};
     }
   }
 
-  async processBatch(batch) {
+  // Fields to ask the providers for. Values read on-chain or owned by another job are
+  // skipped, so fallback providers are only queried for real gaps.
+  wantedFields(token) {
+    return MARKET_DATA_FIELDS.filter(field => {
+      switch (field) {
+        case 'total_supply':
+          return !token.total_supply_raw;
+        case 'decimals':
+          return token.decimals === null || token.decimals === undefined;
+        case 'pool_address':
+          return !token.pool_address;
+        case 'price_change_24h':
+          return token.market_data_sources.get('price_change_24h') !== 'snapshots';
+        default:
+          return true;
+      }
+    });
+  }
+
+  // Discover the token's pools if needed and re-read their reserves once the stored
+  // liquidity is older than the refresh interval
+  async refreshLiquidity(chain, token) {
+    if (token.liquidity_updated && Date.now() - token.liquidity_updated.getTime() < LIQUIDITY_REFRESH_INTERVAL) {
+      return;
+    }
+    const provider = providerManager.forChain(chain).getReadProvider();
+    const pool = await poolDiscovery.getPrimaryPool(provider, chain, token.contractAddress);
+    if (pool) {
+      await liquidityService.updateTokenLiquidity(provider, chain, token.contractAddress);
+    }
+  }
+
+  async processBatch(chain, batch) {
+    const endTimer = batchDuration.startTimer({ chain });
     try {
       console.log(`Processing batch of ${batch.length} tokens`);
 
-      // Fetch GeckoTerminal data for the entire batch
+      // Fetch market data for the entire batch from the configured providers
       const tokenAddresses = batch.map(token => token.contractAddress);
-      const geckoTerminalData = await this.fetchGeckoTerminalData(tokenAddresses);
+      const byAddress = new Map(batch.map(token => [token.contractAddress.toLowerCase(), token]));
+      const marketData = await fetchMarketData(chain, tokenAddresses, address => this.wantedFields(byAddress.get(address)));
+      const totalSupplies = await this.fetchTotalSupplies(chain, tokenAddresses);
 
       for (const token of batch) {
         try {
-          // Get token contract
-          const tokenContract = new ethers.Contract(
-            token.contractAddress,
-            ['function totalSupply() view returns (uint256)'],
-            this.wsProvider
-          );
-
-          // Fetch total supply with timeout and error handling
-          let totalSupply;
-          try {
-            // Add timeout to prevent hanging on problematic contracts
-            const totalSupplyPromise = tokenContract.totalSupply();
-            const timeoutPromise = new Promise((_, reject) => 
-              setTimeout(() => reject(new Error('Timeout')), 5000)
-            );
-            
-            totalSupply = await Promise.race([totalSupplyPromise, timeoutPromise]);
-          } catch (supplyError) {
-            console.warn(`Failed to get totalSupply for ${token.symbol}. Skipping this field: ${supplyError.message}`);
-            // Continue with other data even if totalSupply fails
-            totalSupply = token.total_supply || 0;
-          }
-          
-          // Get GeckoTerminal data for this token
-          const tokenData = geckoTerminalData[token.contractAddress.toLowerCase()] || {};
-          
-          // Update token with new data
-          // Only update totalSupply if we successfully retrieved it
-          if (totalSupply !== token.total_supply) {
-            token.total_supply = Number(totalSupply);
+          const address = token.contractAddress.toLowerCase();
+          const { data: tokenData, sources } = marketData[address] || { data: {}, sources: {} };
+
+          // On-chain supply wins; a provider's figure only fills in when the read failed
+          const totalSupply = totalSupplies[address];
+          if (totalSupply !== undefined) {
+            token.total_supply_raw = totalSupply.toString();
+            sources.total_supply = 'onchain';
+          } else {
+            console.warn(`Failed to get totalSupply for ${token.symbol}. Skipping this field`);
+            // Provider supplies are floats; they only stand in until an exact read succeeds
+            if (tokenData.total_supply && !token.total_supply_raw) {
+              token.total_supply = tokenData.total_supply;
+            }
           }
           
           token.price_usd = tokenData.price_usd || token.price_usd || 0;
+          // Snapshot-based changes win; the provider's 24h change stands in until the snapshot
+          // service has a 24h-old baseline for the token
+          if (token.market_data_sources.get('price_change_24h') !== 'snapshots' && tokenData.price_change_24h !== undefined) {
+            token.price_change_24h = tokenData.price_change_24h;
+          } else {
+            delete sources.price_change_24h;
+          }
           token.volume_usd_24h = tokenData.volume_usd_24h || token.volume_usd_24h || 0;
-          token.decimals = tokenData.decimals || token.decimals || 18;
-          token.pool_address = tokenData.pool_address || token.pool_address || null;
-          token.last_updated = new Date();
+          if (tokenData.volume_usd_24h) {
+            token.volume_source = sources.volume_usd_24h;
+          }
+          // Decimals read from the contract win; provider decimals only fill a gap
+          if (token.decimals === null || token.decimals === undefined) {
+            token.decimals = tokenData.decimals ?? 18;
+          } else {
+            delete sources.decimals;
+          }
+          // On-chain pool discovery owns pool_address; providers only fill the gap
+          if (!token.pool_address && tokenData.pool_address) {
+            token.pool_address = tokenData.pool_address;
+          } else {
+            delete sources.pool_address;
+          }
+
+          // Remember which provider each field we just wrote came from
+          for (const [field, source] of Object.entries(sources)) {
+            token.market_data_sources.set(field, source);
+          }
+          // last_updated dates the price; a kept price must not look fresh
+          if (tokenData.price_usd !== undefined) {
+            token.last_updated = new Date();
+          } else {
+            marketDataMisses.inc({ chain });
+            console.warn(`No market data price for ${token.symbol} (${address}); keeping the price from ${token.last_updated?.toISOString()}`);
+          }
           token.last_batch_update = new Date();  // Update the batch update timestamp
 
           // Save the token to trigger market cap calculation
           await token.save();
+          publishTokenUpdate(token, 'batch');
+
+          // Ranking filters need liquidity for every token, not only the subscribed ones
+          await this.refreshLiquidity(chain, token);
 
           console.log(`Updated token ${token.symbol}: 
             Price=$${token.price_usd}, 
@@ -169,6 +221,7 @@ class TokenBatchProcessor {
             Volume=$${token.volume_usd_24h}, 
             Market Cap=$${token.market_cap_usd},
             Pool=${token.pool_address},
+            Sources=${JSON.stringify(sources)},
             Last Batch Update=${token.last_batch_update}`);
         } catch (error) {
           console.error(`Error processing token ${token.symbol}:`, error);
@@ -178,6 +231,8 @@ class TokenBatchProcessor {
       }
     } catch (error) {
       console.error('Error processing batch:', error);
+    } finally {
+      endTimer();
     }
   }
 }
@@ -1,39 +1,89 @@
 // services/tokenDataService.js
 const { ethers } = require('ethers');
-const mongoose = require('mongoose');
 require('dotenv').config();
 
 // Import models
 const Token = require('../models/Token');
-const TokenPrice = require('../models/TokenPrice');
-
+const SwapIndexer = require('./swapIndexer');
+const TokenDiscovery = require('./tokenDiscovery');
+const { HolderIndexer, TRANSFER_TOPIC } = require('./holderIndexer');
+const providerManager = require('./providerManager');
+const tradeStatsService = require('./tradeStatsService');
+const liquidityService = require('./liquidityService');
+const poolDiscovery = require('./poolDiscovery');
+const quoteAssets = require('./quoteAssets');
+const { DEFAULT_CHAIN, getChain, getEnabledChains } = require('./chains');
+const { getAdapter, decodeStateResults, getTokenPriceInQuote, orientRatio } = require('./dexAdapters');
+const { multicall, erc20Call } = require('./multicall');
+const { publishTokenUpdate, publishTrade, publishTokenCreated } = require('./tokenEvents');
+const { stateGauge } = require('./metrics');
+const fixedPoint = require('./fixedPoint');
+
+// Prices, subscriptions and swap indexing for the tokens of one chain
 class TokenPriceTracker {
-  constructor() {
-    this.wsProvider = null;
-    this.tokens = [];
+  constructor(options = {}) {
+    this.chain = getChain(options.chain || DEFAULT_CHAIN);
+    this.chainId = this.chain.id;
+    this.providerManager = providerManager.forChain(this.chainId);
+    this.quotes = quoteAssets.forChain(this.chainId);
+
+    // A fixed provider (scripts) bypasses the shared provider manager
+    this.provider = options.provider || null;
+    this.swapIndexer = new SwapIndexer(() => this.readProvider);
+    this.holderIndexer = new HolderIndexer(() => this.readProvider);
+    this.indexHolders = options.indexHolders ?? process.env.HOLDER_INDEXING !== 'false';
+    this.discovery = new TokenDiscovery(this.chainId, this.providerManager);
+    this.changeStream = null;
+    this.reconnectHandler = null;
     this.wethPriceUsd = null;
+
+    // On-demand pool subscriptions, keyed by lowercase contract address
+    this.subscriptions = new Map();
+    this.idleTimeout = parseInt(process.env.SUBSCRIPTION_IDLE_TIMEOUT_MS) || 15 * 60 * 1000;
+    this.sweepTimer = null;
+    this.statsTimer = null;
+
+    // Deepest pool used to price each quote asset, and the refresh timer for their USD prices
+    this.quotePools = new Map();
+    this.quoteTimer = null;
+
+    // TWAP window, and the oracle cardinality below which spot prices are used instead
+    this.twapWindow = parseInt(process.env.TWAP_WINDOW_SECONDS) || 1800;
+    this.twapMinCardinality = parseInt(process.env.TWAP_MIN_CARDINALITY) || 10;
     
-    // Base network constants
-    this.WETH_ADDRESS = '0x4200000000000000000000000000000000000006';
-    this.USDC_ADDRESS = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
-    this.UNISWAP_FACTORY = '0x33128a8fC17869897dcE68Ed026d694621f6FDfD';
+    // Chain constants: the wrapped native asset is priced live against the USD anchor
+    this.WETH_ADDRESS = this.chain.wrappedNative;
+    this.USDC_ADDRESS = this.chain.usdAnchor;
+    this.UNISWAP_FACTORY = this.chain.dexes['uniswap-v3'].factory;
+    this.wethIsToken0 = this.WETH_ADDRESS.toLowerCase() < this.USDC_ADDRESS.toLowerCase();
+    this.wethDecimals = this.quotes.getQuoteAsset(this.WETH_ADDRESS).decimals;
+    this.usdcDecimals = this.quotes.getQuoteAsset(this.USDC_ADDRESS).decimals;
   }
 
+  // Provider for view calls and log queries
+  get readProvider() {
+    return this.provider || this.providerManager.getReadProvider();
+  }
+
+  // Safe to call again after a failure: every step is idempotent
   async initialize() {
     try {
-      // Connect to database
-      await mongoose.connect(process.env.MONGODB_URI);
-      console.log('MongoDB Connected');
-  
       // Setup change stream for new tokens
-      await this.setupChangeStream();
-  
-      // Load tokens from v2 collection
-      this.tokens = await Token.find({});
-      console.log(`Loaded ${this.tokens.length} tokens`);
+      if (!this.changeStream) {
+        await this.setupChangeStream();
+      }
   
-      // Connect WebSocket
-      this.wsProvider = new ethers.WebSocketProvider(process.env.WS_RPC_URL);
+      // Shared WebSocket; pool listeners are re-registered by the manager on reconnect
+      if (!this.provider && !this.reconnectHandler) {
+        this.reconnectHandler = () => this.handleProviderReconnect();
+        this.providerManager.on('reconnected', this.reconnectHandler);
+        await this.providerManager.start();
+      }
+
+      // Insert new tokens as their first pools are created (TOKEN_DISCOVERY=false to disable)
+      if (!this.provider && process.env.TOKEN_DISCOVERY !== 'false') {
+        this.discovery.start();
+      }
   
       // Retrieve initial WETH price
       await this.retrieveInitialWethPrice();
@@ -41,8 +91,24 @@ class TokenPriceTracker {
       // Track WETH price 
       await this.trackWethPrice();
   
-      // Start tracking token prices
-      this.trackTokenPrices();
+      // Price the remaining quote assets so tokens not paired with WETH can be routed to USD
+      await this.refreshQuoteAssetPrices();
+      if (!this.quoteTimer) {
+        this.quoteTimer = setInterval(() => this.refreshQuoteAssetPrices(), 60 * 1000);
+      }
+  
+      // Drop pool listeners for tokens nobody has viewed recently
+      if (!this.sweepTimer) {
+        this.sweepTimer = setInterval(() => this.sweepIdleSubscriptions(), 60 * 1000);
+      }
+  
+      // Let rolling volume windows decay for tokens that stopped trading
+      if (!this.statsTimer) {
+        this.statsTimer = setInterval(() => tradeStatsService.refreshActiveTokens(this.chainId), 5 * 60 * 1000);
+      }
+  
+      // Replay swaps missed by active subscriptions while the connection was down
+      this.recoverGaps();
   
     } catch (error) {
       console.error('Initialization Error:', error);
@@ -52,22 +118,33 @@ class TokenPriceTracker {
 
   async setupChangeStream() {
     try {
-      // Watch for new tokens being added to collection
-      const tokenChangeStream = Token.watch([], {
+      // Watch for new tokens on this chain being added to collection
+      // (documents without a chain predate multi-chain support and belong to the default chain)
+      const chains = this.chainId === DEFAULT_CHAIN ? [this.chainId, null] : [this.chainId];
+      const tokenChangeStream = Token.watch([
+        { $match: { 'fullDocument.chain': { $in: chains } } }
+      ], {
         fullDocument: 'updateLookup'
       });
+      this.changeStream = tokenChangeStream;
 
       tokenChangeStream.on('change', async (change) => {
         try {
           // Only handle new token insertions
           if (change.operationType === 'insert') {
             const newToken = change.fullDocument;
-            console.log(`New token detected: ${newToken.symbol}`);
+            console.log(`New ${this.chainId} token detected: ${newToken.symbol}`);
+
+            // Writers that predate multi-chain support insert tokens without a chain
+            if (!newToken.chain) {
+              newToken.chain = this.chainId;
+              await Token.updateOne({ _id: newToken._id }, { $set: { chain: this.chainId } });
+            }
+            publishTokenCreated(newToken);
             
-            // Find pool and setup subscription
-            const pool = await this.findTokenPool(newToken.contractAddress);
-            if (pool) {
-              this.subscribeToPool(pool, newToken);
+            // Subscribe on-demand; the listener is dropped again if nobody views the token
+            const subscription = await this.subscribeToToken(newToken.contractAddress);
+            if (subscription) {
               console.log(`Successfully subscribed to pool for new token: ${newToken.symbol}`);
             } else {
               console.log(`No pool found for new token: ${newToken.symbol}`);
@@ -78,7 +155,7 @@ class TokenPriceTracker {
         }
       });
 
-      console.log('Token change stream setup successfully');
+      console.log(`Token change stream setup successfully for ${this.chainId}`);
     } catch (error) {
       console.error('Error setting up token change stream:', error);
       // Try to reconnect
@@ -86,58 +163,52 @@ class TokenPriceTracker {
     }
   }
 
+  // WETH's USD price read from the WETH/USDC pool at the provider's current block, or null
+  async readWethPrice() {
+    const poolAddress = await this.findWethUsdcPool();
+    if (!poolAddress) {
+      console.error('Cannot retrieve WETH price: No pool found');
+      return null;
+    }
+
+    const poolABI = [
+      "function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)"
+    ];
+    const poolContract = new ethers.Contract(poolAddress, poolABI, this.readProvider);
+    const [sqrtPriceX96] = await poolContract.slot0();
+    const price = this.calculateWethPrice(sqrtPriceX96);
+    return price > 0 ? price : null;
+  }
+
+  // Quote-asset USD prices as of the provider's current block, without touching the Token
+  // collection; backfills call this to value historical swaps at the prices of their block
+  async loadQuoteAssetPrices() {
+    this.wethPriceUsd = await this.readWethPrice();
+    if (this.wethPriceUsd) {
+      this.quotes.setUsdPrice(this.WETH_ADDRESS, this.wethPriceUsd, this.wethRoute());
+    }
+    await this.refreshQuoteAssetPrices();
+  }
+
   async retrieveInitialWethPrice() {
     try {
-      const poolAddress = await this.findWethUsdcPool();
-      if (!poolAddress) {
-        console.error('Cannot retrieve initial WETH price: No pool found');
-        return;
-      }
-  
-      const poolABI = [
-        "function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)",
-        "function token0() view returns (address)",
-        "function token1() view returns (address)"
-      ];
-  
-      const poolContract = new ethers.Contract(poolAddress, poolABI, this.wsProvider);
-      
-      // Get both tokens to verify the direction
-      const [token0, token1, slot0] = await Promise.all([
-        poolContract.token0(),
-        poolContract.token1(),
-        poolContract.slot0()
-      ]);
-  
-      const sqrtPriceX96 = slot0[0];
-      
-      console.log('Pool token details:', {
-        token0,
-        token1,
-        WETH_ADDRESS: this.WETH_ADDRESS,
-        USDC_ADDRESS: this.USDC_ADDRESS
-      });
-  
-      console.log(`Retrieved sqrtPriceX96: ${sqrtPriceX96}`);
-  
-      // Calculate price
-      const price = this.calculateWethPrice(sqrtPriceX96);
-      
-      console.log(`Calculated initial WETH price: $${price}`);
-  
-      if (price > 0) {
+      const price = await this.readWethPrice();
+      if (price) {
         this.wethPriceUsd = price;
+        this.quotes.setUsdPrice(this.WETH_ADDRESS, price, this.wethRoute());
         
         // Store WETH price in Token collection
-        await Token.findOneAndUpdate(
-          { contractAddress: this.WETH_ADDRESS },
+        const wethToken = await Token.findOneAndUpdate(
+          { chain: this.chainId, contractAddress: this.WETH_ADDRESS.toLowerCase() },
           {
             $set: {
               price_usd: price,
               last_updated: new Date()
             }
-          }
+          },
+          { new: true }
         );
+        publishTokenUpdate(wethToken, 'tracker');
   
         console.log(`Initial WETH Price: $${price}`);
       } else {
@@ -153,10 +224,19 @@ class TokenPriceTracker {
     setTimeout(() => this.initialize(), 5000);
   }
 
+  // The socket came back: refresh WETH and replay swaps and launches missed while it was down
+  async handleProviderReconnect() {
+    await this.retrieveInitialWethPrice();
+    this.recoverGaps();
+    if (this.discovery.started) {
+      this.discovery.catchUp();
+    }
+  }
+
   async findWethUsdcPool() {
     try {
       const factoryABI = ["function getPool(address,address,uint24) view returns (address)"];
-      const factory = new ethers.Contract(this.UNISWAP_FACTORY, factoryABI, this.wsProvider);
+      const factory = new ethers.Contract(this.UNISWAP_FACTORY, factoryABI, this.readProvider);
   
       console.log(`Finding pool for WETH (${this.WETH_ADDRESS}) and USDC (${this.USDC_ADDRESS})`);
   
@@ -192,119 +272,340 @@ class TokenPriceTracker {
       "event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)"
     ];
 
-    const poolContract = new ethers.Contract(poolAddress, poolABI, this.wsProvider);
+    const listener = (sender, recipient, amount0, amount1, sqrtPriceX96) => this.handleWethSwap(sqrtPriceX96);
 
-    poolContract.on('Swap', async (sender, recipient, amount0, amount1, sqrtPriceX96) => {
-      try {
-        // Calculate WETH price using new method
-        const price = this.calculateWethPriceFromSwap(sqrtPriceX96);
+    // Re-using the key replaces any earlier WETH listener instead of stacking another
+    this.providerManager.subscribe('weth-usdc', (provider) => {
+      const poolContract = new ethers.Contract(poolAddress, poolABI, provider);
+      poolContract.on('Swap', listener);
+      return () => poolContract.off('Swap', listener);
+    });
+  }
+
+  // A swap in the WETH/USDC pool: reprice WETH from the pool's new sqrtPriceX96
+  async handleWethSwap(sqrtPriceX96) {
+    try {
+      // Calculate WETH price using new method
+      const price = this.calculateWethPriceFromSwap(sqrtPriceX96);
+      
+      if (price > 0) {
+        this.wethPriceUsd = price;
+        this.quotes.setUsdPrice(this.WETH_ADDRESS, price, this.wethRoute());
         
-        if (price > 0) {
-          this.wethPriceUsd = price;
-          
-          // Update WETH price in Token collection
-          await Token.findOneAndUpdate(
-            { contractAddress: this.WETH_ADDRESS },
-            {
-              $set: {
-                price_usd: price,
-                last_updated: new Date()
-              }
+        // Update WETH price in Token collection
+        const wethToken = await Token.findOneAndUpdate(
+          { chain: this.chainId, contractAddress: this.WETH_ADDRESS.toLowerCase() },
+          {
+            $set: {
+              price_usd: price,
+              last_updated: new Date()
             }
-          );
-  
-          console.log(`WETH Price from Swap: $${price}`);
-        }
-      } catch (error) {
-        console.error('WETH price tracking error:', error);
+          },
+          { new: true }
+        );
+        publishTokenUpdate(wethToken, 'tracker');
+
+        console.log(`WETH Price from Swap: $${price}`);
       }
-    });
+    } catch (error) {
+      console.error('WETH price tracking error:', error);
+    }
   }
 
-  async trackTokenPrices() {
-    for (const token of this.tokens) {
-      try {
-        const pool = await this.findTokenPool(token.contractAddress);
-        if (pool) {
-          this.subscribeToPool(pool, token);
-        }
-      } catch (error) {
-        console.error(`Error tracking ${token.symbol}:`, error);
+  // Ensure a pool listener exists for a token and mark it as recently viewed.
+  // Concurrent and repeated calls share the same subscription.
+  async subscribeToToken(contractAddress) {
+    const address = contractAddress.toLowerCase();
+    let subscription = this.subscriptions.get(address);
+
+    if (!subscription) {
+      if (!this.readProvider) {
+        return null;
       }
+
+      subscription = {
+        contractAddress: address,
+        symbol: null,
+        poolAddress: null,
+        pool: null,
+        poolDex: null,
+        subscriptionKey: null,
+        holdersKey: null,
+        liquidityKey: null,
+        catchingUp: false,
+        catchUp: null,
+        refCount: 0,
+        subscribedAt: new Date(),
+        lastAccessed: Date.now()
+      };
+      subscription.ready = this.openSubscription(subscription);
+      this.subscriptions.set(address, subscription);
     }
+
+    subscription.lastAccessed = Date.now();
+    await subscription.ready;
+
+    return subscription.subscriptionKey ? subscription : null;
   }
 
-  async findTokenPool(tokenAddress) {
+  async openSubscription(subscription) {
     try {
-      const factoryABI = ["function getPool(address,address,uint24) view returns (address)"];
-      const factory = new ethers.Contract(this.UNISWAP_FACTORY, factoryABI, this.wsProvider);
+      const token = await Token.findOne({ chain: this.chainId, contractAddress: subscription.contractAddress });
+      if (!token) {
+        // Unknown addresses are not cached
+        this.subscriptions.delete(subscription.contractAddress);
+        return;
+      }
+      subscription.symbol = token.symbol;
 
-      // Try different fee tiers
-      const feeTiers = [500, 3000, 10000];
-      for (const fee of feeTiers) {
-        const poolAddress = await factory.getPool(tokenAddress, this.WETH_ADDRESS, fee);
-        if (poolAddress && poolAddress !== ethers.ZeroAddress) {
-          return poolAddress;
+      const pool = await this.findTokenPool(token.contractAddress);
+      if (!pool || !this.subscriptions.has(subscription.contractAddress)) {
+        // Tokens without a pool stay cached until idle so lookups are not repeated per request
+        return;
+      }
+
+      const result = this.subscribeToPool(pool, token, subscription);
+      if (result) {
+        subscription.pool = pool;
+        subscription.token = token;
+        subscription.poolAddress = pool.address;
+        subscription.poolDex = pool.dex;
+        subscription.subscriptionKey = result.key;
+        subscription.liquidityKey = result.liquidityKey;
+
+        // Fill in swaps since the pool's last checkpoint without holding up the request
+        subscription.catchUp = this.catchUpSubscription(subscription);
+
+        if (this.indexHolders) {
+          subscription.holdersKey = this.subscribeToTransfers(token);
         }
       }
-      return null;
+    } catch (error) {
+      console.error(`Error subscribing to token ${subscription.contractAddress}:`, error);
+    }
+  }
+
+  // Live swaps do not move the pool checkpoint while a catch-up is in flight,
+  // so a crash mid-catch-up never skips the unreplayed range
+  async catchUpSubscription(subscription) {
+    if (subscription.catchingUp || !subscription.pool) {
+      return;
+    }
+
+    subscription.catchingUp = true;
+    try {
+      const processed = await this.swapIndexer.catchUp(subscription.pool, subscription.token);
+      if (processed > 0) {
+        console.log(`Recovered ${processed} missed swaps for ${subscription.symbol}`);
+      }
+    } catch (error) {
+      console.error(`Error catching up swaps for ${subscription.symbol}:`, error);
+    } finally {
+      subscription.catchingUp = false;
+    }
+  }
+
+  recoverGaps() {
+    for (const subscription of this.subscriptions.values()) {
+      this.catchUpSubscription(subscription);
+      if (subscription.holdersKey) {
+        this.holderIndexer.scheduleSync(subscription.token);
+      }
+    }
+  }
+
+  // Transfers only trigger a holder sync; the indexer reads the logs itself from its checkpoint.
+  // The first sync backfills balances from the token's creation block.
+  subscribeToTransfers(token) {
+    const key = `holders:${token.contractAddress.toLowerCase()}`;
+    const filter = { address: token.contractAddress, topics: [TRANSFER_TOPIC] };
+    const listener = () => this.holderIndexer.scheduleSync(token);
+
+    this.providerManager.subscribe(key, (provider) => {
+      provider.on(filter, listener);
+      return () => provider.off(filter, listener);
+    });
+
+    this.holderIndexer.scheduleSync(token);
+    return key;
+  }
+
+  // Hold a subscription open (e.g. while a Socket.IO client is in the token room)
+  async retainToken(contractAddress) {
+    const address = contractAddress.toLowerCase();
+    const pending = this.subscribeToToken(address);
+
+    // The entry is registered synchronously, so the reference is counted before any await
+    const entry = this.subscriptions.get(address);
+    if (entry) {
+      entry.refCount++;
+    }
+    return pending;
+  }
+
+  // Release a held subscription; it becomes eligible for the idle sweep
+  releaseToken(contractAddress) {
+    const subscription = this.subscriptions.get(contractAddress.toLowerCase());
+    if (subscription) {
+      subscription.refCount = Math.max(0, subscription.refCount - 1);
+      subscription.lastAccessed = Date.now();
+    }
+  }
+
+  unsubscribeFromToken(contractAddress) {
+    const address = contractAddress.toLowerCase();
+    const subscription = this.subscriptions.get(address);
+    if (!subscription) {
+      return;
+    }
+
+    this.subscriptions.delete(address);
+    if (subscription.subscriptionKey) {
+      this.providerManager.unsubscribe(subscription.subscriptionKey);
+      console.log(`Unsubscribed from pool ${subscription.poolAddress} for ${subscription.symbol}`);
+    }
+    if (subscription.liquidityKey) {
+      this.providerManager.unsubscribe(subscription.liquidityKey);
+    }
+    if (subscription.holdersKey) {
+      this.providerManager.unsubscribe(subscription.holdersKey);
+      this.holderIndexer.cancelSync(subscription.token);
+    }
+  }
+
+  sweepIdleSubscriptions() {
+    const now = Date.now();
+    for (const subscription of this.subscriptions.values()) {
+      if (subscription.refCount === 0 && now - subscription.lastAccessed > this.idleTimeout) {
+        this.unsubscribeFromToken(subscription.contractAddress);
+      }
+    }
+  }
+
+  getSubscriptionStatus() {
+    const tokens = [];
+    for (const subscription of this.subscriptions.values()) {
+      if (!subscription.subscriptionKey) continue;
+      tokens.push({
+        contractAddress: subscription.contractAddress,
+        symbol: subscription.symbol,
+        poolAddress: subscription.poolAddress,
+        poolDex: subscription.poolDex,
+        refCount: subscription.refCount,
+        subscribedAt: subscription.subscribedAt,
+        lastAccessed: new Date(subscription.lastAccessed)
+      });
+    }
+
+    return {
+      chain: this.chainId,
+      activeSubscriptions: tokens.length,
+      idleTimeoutMs: this.idleTimeout,
+      tokens
+    };
+  }
+
+  // Deepest pool for the token across all supported DEXes
+  async findTokenPool(tokenAddress) {
+    try {
+      return await poolDiscovery.getPrimaryPool(this.readProvider, this.chainId, tokenAddress);
     } catch (error) {
       console.error(`Pool finding error for ${tokenAddress}:`, error);
       return null;
     }
   }
 
-  subscribeToPool(poolAddress, token) {
+  subscribeToPool(pool, token, subscription = null) {
     try {
-      const poolABI = [
-        "event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)"
-      ];
+      const adapter = getAdapter(pool.dex);
+      const key = `swap:${token.contractAddress.toLowerCase()}:${pool.address}`;
 
-      const poolContract = new ethers.Contract(poolAddress, poolABI, this.wsProvider);
+      // ethers passes the event payload last; its log carries block and log index
+      const listener = (...args) => this.handleSwap(pool, token, args[args.length - 1].log, subscription);
 
-      poolContract.on('Swap', async (sender, recipient, amount0, amount1, sqrtPriceX96) => {
-        try {
-          // Calculate token price
-          const price = await this.calculateTokenPriceInUsd(poolContract, token);
-          
-          if (price > 0) {
-            // Update token with new price and last trade time
-            await Token.findOneAndUpdate(
-              { contractAddress: token.contractAddress },
-              {
-                $set: {
-                  price_usd: price,
-                  last_updated: new Date(),
-                  last_trade: new Date()
-                }
-              }
-            );
-            
-            console.log(`Updated ${token.symbol} price: $${price} (Last trade: ${new Date()})`);
-          }
-        } catch (error) {
-          console.error(`Error processing swap for ${token.symbol}:`, error);
+      this.providerManager.subscribe(key, (provider) => {
+        const { contract, filter } = adapter.getSwapSubscription(provider, pool);
+        contract.on(filter, listener);
+        return () => contract.off(filter, listener);
+      });
+
+      // Mint and Burn (ModifyLiquidity on V4) change reserves without a swap
+      const liquidityKey = `liquidity:${token.contractAddress.toLowerCase()}:${pool.address}`;
+      const liquidityListener = () => this.scheduleLiquidityUpdate(token);
+      this.providerManager.subscribe(liquidityKey, (provider) => {
+        const { contract, filters } = adapter.getLiquiditySubscription(provider, pool);
+        for (const filter of filters) {
+          contract.on(filter, liquidityListener);
         }
+        return () => {
+          for (const filter of filters) {
+            contract.off(filter, liquidityListener);
+          }
+        };
       });
 
-      console.log(`Subscribed to pool ${poolAddress} for ${token.symbol}`);
+      console.log(`Subscribed to ${pool.dex} pool ${pool.address} for ${token.symbol}`);
+      return { key, liquidityKey };
     } catch (error) {
       console.error(`Error subscribing to pool for ${token.symbol}:`, error);
+      return null;
     }
   }
 
+  // A decoded Swap log of a token's pool: store the swap and its candles, then reprice the token
+  async handleSwap(pool, token, log, subscription = null) {
+    try {
+      // Store the swap and its candles; skip logs that were already processed
+      const processed = await this.swapIndexer.processLog(pool, token, log, {
+        advanceCheckpoint: !subscription?.catchingUp
+      });
+      if (!processed) {
+        return;
+      }
+      publishTrade(token, { ...processed, transactionHash: log.transactionHash });
+
+      // Reserves moved with the swap
+      this.scheduleLiquidityUpdate(token);
+
+      // Reprice the token; the same save records the block of its last trade
+      const price = await this.calculateTokenPriceInUsd(pool, token, log.blockNumber);
+      if (price > 0) {
+        console.log(`Updated ${token.symbol} price: $${price} (Last trade: block ${log.blockNumber})`);
+      }
+    } catch (error) {
+      console.error(`Error processing swap for ${token.symbol}:`, error);
+    }
+  }
+
+  scheduleLiquidityUpdate(token) {
+    liquidityService.scheduleUpdate(() => this.readProvider, this.chainId, token.contractAddress);
+  }
+
+  // Route recorded for the live wrapped-native price, e.g. ['WETH', 'USDC']
+  wethRoute() {
+    return [
+      this.quotes.getQuoteAsset(this.WETH_ADDRESS).symbol,
+      this.quotes.getQuoteAsset(this.USDC_ADDRESS).symbol
+    ];
+  }
+
+  // USD price of WETH from the WETH/USDC pool's sqrtPriceX96. The pool prices token1 in
+  // token0, so the ratio is inverted on chains where USDC sorts before WETH.
+  wethPriceFromSqrtPrice(sqrtPriceBigInt) {
+    const price = this.wethIsToken0
+      ? fixedPoint.priceFromSqrtPriceX96(sqrtPriceBigInt, this.wethDecimals, this.usdcDecimals)
+      : fixedPoint.invert(fixedPoint.priceFromSqrtPriceX96(sqrtPriceBigInt, this.usdcDecimals, this.wethDecimals));
+    return fixedPoint.toNumber(price);
+  }
+
   // Fix for calculateWethPrice function
   calculateWethPrice(sqrtPriceX96) {
     try {
       // Convert sqrtPriceX96 to BigInt
       const sqrtPriceBigInt = BigInt(sqrtPriceX96.toString());
       
-      // Base constants for calculation
-      const Q96 = BigInt(2) ** BigInt(96);
-      
-      // Calculate price = (sqrtPrice/2^96)^2 * (10^12)
-      // We multiply by 10^12 to account for decimals difference between USDC (6) and WETH (18)
-      const price = Number((sqrtPriceBigInt * sqrtPriceBigInt * BigInt(10**12)) / (Q96 * Q96));
+      // price = (sqrtPrice/2^96)^2, scaled by the decimals difference between WETH and USDC
+      const price = this.wethPriceFromSqrtPrice(sqrtPriceBigInt);
       
       console.log('Detailed WETH price calculation:', {
         sqrtPriceX96: sqrtPriceX96.toString(),
@@ -332,11 +633,9 @@ class TokenPriceTracker {
     try {
       // Convert to BigInt for precise calculation
       const sqrtPriceBigInt = BigInt(sqrtPriceX96.toString());
-      const Q96 = BigInt(2) ** BigInt(96);
       
-      // Calculate price = (sqrtPrice/2^96)^2 * (10^12)
       // Use same formula as initial price calculation for consistency
-      const price = Number((sqrtPriceBigInt * sqrtPriceBigInt * BigInt(10**12)) / (Q96 * Q96));
+      const price = this.wethPriceFromSqrtPrice(sqrtPriceBigInt);
       
       // Add sanity checks
       if (isNaN(price) || price <= 0 || price > 1000000) {
@@ -354,45 +653,110 @@ class TokenPriceTracker {
     }
   }
 
-  async calculateTokenPriceInUsd(poolContract, token) {
-    try {
-      if (!this.wethPriceUsd) {
-        console.log(`WETH price not available for ${token.symbol}`);
-        return 0;
+  // Refresh USD prices of the quote assets, each through the asset it is priced against
+  async refreshQuoteAssetPrices() {
+    for (const address of this.quotes.getPricingOrder()) {
+      // WETH is priced live from WETH/USDC swaps
+      if (address === this.WETH_ADDRESS.toLowerCase() && this.wethPriceUsd) continue;
+
+      const asset = this.quotes.getQuoteAsset(address);
+      try {
+        let pool = this.quotePools.get(address);
+        if (!pool) {
+          [pool] = await poolDiscovery.discoverPools(this.readProvider, this.chainId, address, [asset.pricedAgainst]);
+          if (!pool) {
+            console.warn(`No pool found to price quote asset ${asset.symbol}`);
+            continue;
+          }
+          this.quotePools.set(address, pool);
+        }
+
+        const resolved = await this.resolveUsdPrice(pool, asset.symbol, asset.decimals);
+        if (resolved) {
+          this.quotes.setUsdPrice(address, resolved.priceUsd, resolved.route);
+        }
+      } catch (error) {
+        console.error(`Error pricing quote asset ${asset.symbol}:`, error);
       }
-  
-      const [token0, token1, slot0] = await Promise.all([
-        poolContract.token0(),
-        poolContract.token1(),
-        poolContract.slot0()
+    }
+
+    // Tracked tokens used as quote assets take their price from the Token collection
+    for (const address of this.quotes.TRACKED_QUOTE_TOKENS) {
+      try {
+        const token = await Token.findOne({ chain: this.chainId, contractAddress: address }).lean();
+        if (token) {
+          this.quotes.registerTrackedQuote(token);
+          const route = token.price_route?.length ? token.price_route : [token.symbol];
+          this.quotes.setUsdPrice(address, token.price_usd, route);
+        }
+      } catch (error) {
+        console.error(`Error pricing tracked quote token ${address}:`, error);
+      }
+    }
+  }
+
+  // Pool state, the oracle TWAP ratio (when the DEX has one) and any extra reads,
+  // all in a single multicall so a price update costs one round trip
+  async readPricingState(pool, extraCalls = []) {
+    const adapter = getAdapter(pool.dex);
+    const stateCalls = adapter.stateCalls(pool);
+    const twapCalls = adapter.twapCalls ? adapter.twapCalls(pool, this.twapWindow) : [];
+    const results = await multicall(this.readProvider, [...stateCalls, ...twapCalls, ...extraCalls]);
+
+    const state = decodeStateResults(pool, results.slice(0, stateCalls.length));
+    const twapResults = results.slice(stateCalls.length, stateCalls.length + twapCalls.length);
+    const twapRatio = adapter.decodeTwapRatio
+      ? adapter.decodeTwapRatio(state, twapResults, this.twapWindow, this.twapMinCardinality)
+      : null;
+
+    return { state, twapRatio, extra: results.slice(stateCalls.length + twapCalls.length) };
+  }
+
+  // USD price of a pool's tracked token through the USD price of the pool's quote asset.
+  // `decimals` are the tracked token's; the math is fixed-point until the final USD figure.
+  // Results of extraCalls ride along in the same multicall and come back as `extra`.
+  async resolveUsdPrice(pool, symbol, decimals = 18, extraCalls = []) {
+    const quote = this.quotes.getQuoteAsset(pool.quoteAddress);
+    const quotePrice = this.quotes.getUsdPrice(pool.quoteAddress);
+    if (!quote || !quotePrice) {
+      return null;
+    }
+
+    const route = [symbol, ...quotePrice.route];
+    if (route.length - 2 > quoteAssets.MAX_HOPS) {
+      return null;
+    }
+
+    // Read the pool's current price from whichever DEX it lives on
+    const { state, twapRatio, extra } = await this.readPricingState(pool, extraCalls);
+    const quoteUsd = fixedPoint.fromNumber(quotePrice.priceUsd);
+    const priceInQuote = getTokenPriceInQuote(pool, state, decimals, quote.decimals);
+
+    // The TWAP resists single-block manipulation; null when the pool's oracle is unusable.
+    // Oracle ticks only give a float ratio of raw amounts.
+    const twapInQuote = twapRatio ? orientRatio(pool, twapRatio) * 10 ** (decimals - quote.decimals) : null;
+
+    return {
+      priceUsd: fixedPoint.toNumber(fixedPoint.mul(priceInQuote, quoteUsd)),
+      twapPriceUsd: twapInQuote ? fixedPoint.toNumber(fixedPoint.mul(fixedPoint.fromNumber(twapInQuote), quoteUsd)) : null,
+      route,
+      extra
+    };
+  }
+
+  // `lastTradeBlock` is the block of the swap that triggered the repricing, if any
+  async calculateTokenPriceInUsd(pool, token, lastTradeBlock = null) {
+    try {
+      // totalSupply is read in the same multicall as the pool state
+      const resolved = await this.resolveUsdPrice(pool, token.symbol, token.decimals ?? 18, [
+        erc20Call(token.contractAddress, 'totalSupply')
       ]);
-  
-      const isToken0Weth = token0.toLowerCase() === this.WETH_ADDRESS.toLowerCase();
-      const isToken1Weth = token1.toLowerCase() === this.WETH_ADDRESS.toLowerCase();
-  
-      if (!isToken0Weth && !isToken1Weth) {
-        console.log(`Neither token is WETH for ${token.symbol}`);
+      if (!resolved) {
+        console.log(`No USD route for ${token.symbol} through pool ${pool.address}`);
         return 0;
       }
   
-      const sqrtPriceX96 = BigInt(slot0[0].toString());
-      
-      // Use much larger adjustment for tiny numbers
-      const squared = sqrtPriceX96 * sqrtPriceX96;
-      const denominator = BigInt(2) ** BigInt(192);
-      const adjustment = BigInt(10) ** BigInt(36); // Increased precision for tiny numbers
-      
-      const adjustedPrice = (squared * adjustment) / denominator;
-      const rawPrice = Number(adjustedPrice) / Number(adjustment);
-  
-      let priceInWeth;
-      if (isToken0Weth) {
-        priceInWeth = 1 / rawPrice;
-      } else {
-        priceInWeth = rawPrice;
-      }
-  
-      const priceUsd = priceInWeth * this.wethPriceUsd;
+      const priceUsd = resolved.priceUsd;
   
       // Adjust sanity checks for tiny numbers
       if (isNaN(priceUsd) || priceUsd < 0 || priceUsd > 1000000) {
@@ -400,31 +764,38 @@ class TokenPriceTracker {
         return 0;
       }
 
-      // Get total supply
-      const tokenContract = new ethers.Contract(
-        token.contractAddress,
-        ['function totalSupply() view returns (uint256)'],
-        this.wsProvider
-      );
-      const totalSupply = await tokenContract.totalSupply();
+      const [supplyResult] = resolved.extra;
+      const totalSupply = supplyResult.success ? supplyResult.value : null;
 
       // Update token in database
-      const updatedToken = await Token.findOne({ contractAddress: token.contractAddress.toLowerCase() });
+      const updatedToken = await Token.findOne({ chain: this.chainId, contractAddress: token.contractAddress.toLowerCase() });
       if (updatedToken) {
         updatedToken.price_usd = priceUsd;
-        updatedToken.total_supply = Number(totalSupply);
+        updatedToken.price_route = resolved.route;
+        if (resolved.twapPriceUsd > 0) {
+          updatedToken.price_usd_twap = resolved.twapPriceUsd;
+          updatedToken.price_twap_updated = new Date();
+        }
+        if (totalSupply !== null) {
+          updatedToken.total_supply_raw = totalSupply.toString();
+        }
+        if (lastTradeBlock !== null) {
+          updatedToken.last_trade = lastTradeBlock;
+        }
         updatedToken.last_updated = new Date();
-        updatedToken.blockNumber = await this.wsProvider.getBlockNumber();
         
         // Save to trigger pre-save middleware for market cap calculation
         await updatedToken.save();
+        publishTokenUpdate(updatedToken, 'tracker');
 
         console.log(`Updated token ${token.symbol}: 
             Price=$${priceUsd}, 
-            Supply=${totalSupply}, 
+            TWAP=$${resolved.twapPriceUsd ?? 'n/a'}, 
+            Supply=${updatedToken.total_supply}, 
             Volume=$${updatedToken.volume_usd_24h}, 
             Market Cap=$${updatedToken.market_cap_usd},
-            Pool=${poolContract.address}`);
+            Pool=${pool.dex}:${pool.address},
+            Route=${resolved.route.join(' -> ')}`);
       }
   
       return priceUsd;
@@ -433,58 +804,57 @@ class TokenPriceTracker {
       return 0;
     }
   }
+}
 
-  async updateTokenPrice(tokenAddress, price, volume) {
-    try {
-      const tokenContract = new ethers.Contract(
-        tokenAddress,
-        ['function totalSupply() view returns (uint256)'],
-        this.wsProvider
-      );
-
-      const totalSupply = await tokenContract.totalSupply();
-      
-      // Find the token first
-      const token = await Token.findOne({ contractAddress: tokenAddress.toLowerCase() });
-      if (!token) {
-        console.error(`Token not found: ${tokenAddress}`);
-        return;
-      }
-
-      // Update the token fields
-      token.price_usd = price;
-      token.total_supply = Number(totalSupply);
-      token.volume_usd_24h = volume || 0;
-      token.last_updated = new Date();
+// One tracker per enabled chain, keyed by chain id
+const trackers = new Map();
 
-      // Save the token to trigger the pre-save middleware for market cap calculation
-      await token.save();
+stateGauge('tracker_pool_subscriptions', 'Tokens with a live pool Swap subscription',
+  () => trackers.entries(), tracker => tracker.getSubscriptionStatus().activeSubscriptions);
 
-      console.log(`Updated price for token ${tokenAddress}: $${price}, Market Cap: $${token.market_cap_usd}`);
-    } catch (error) {
-      console.error(`Error updating token ${tokenAddress}:`, error);
+async function initializeDataFetching() {
+  for (const chain of getEnabledChains()) {
+    if (!trackers.has(chain)) {
+      const tracker = new TokenPriceTracker({ chain });
+      trackers.set(chain, tracker);
+      await tracker.initialize();
     }
   }
+  return trackers;
 }
 
-// Singleton instance of the tracker
-let trackerInstance = null;
-
-async function initializeDataFetching() {
-  if (!trackerInstance) {
-    trackerInstance = new TokenPriceTracker();
-    await trackerInstance.initialize();
+// Tracker for a chain, starting the trackers on first use; null for chains not enabled
+async function getTracker(chain) {
+  if (trackers.size === 0) {
+    await initializeDataFetching();
   }
-  return trackerInstance;
+  return trackers.get(chain) || null;
 }
 
 module.exports = {
+  TokenPriceTracker,
   initializeDataFetching,
-  subscribeToToken: async (contractAddress) => {
-    if (!trackerInstance) {
-      await initializeDataFetching();
+  getTracker,
+  subscribeToToken: async (chain, contractAddress) => {
+    const tracker = await getTracker(chain);
+    const subscription = tracker && await tracker.subscribeToToken(contractAddress);
+    return Boolean(subscription);
+  },
+  retainToken: async (chain, contractAddress) => {
+    const tracker = await getTracker(chain);
+    const subscription = tracker && await tracker.retainToken(contractAddress);
+    return Boolean(subscription);
+  },
+  releaseToken: (chain, contractAddress) => {
+    const tracker = trackers.get(chain);
+    if (tracker) {
+      tracker.releaseToken(contractAddress);
     }
-    // Placeholder for individual token subscription logic
-    return true;
+  },
+  getSubscriptionStatus: (chain) => {
+    const tracker = trackers.get(chain);
+    return tracker
+      ? tracker.getSubscriptionStatus()
+      : { chain, activeSubscriptions: 0, tokens: [] };
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,243 @@
+// services/tokenDiscovery.js
+const { ethers } = require('ethers');
+const Token = require('../models/Token');
+const quoteAssets = require('./quoteAssets');
+const { getChain } = require('./chains');
+const { getAdapter } = require('./dexAdapters');
+const { getTokenMetadata } = require('./multicall');
+
+// Launches queued beyond this are dropped rather than letting the queue grow without bound
+const MAX_PENDING = parseInt(process.env.DISCOVERY_MAX_PENDING) || 500;
+
+// Blocks replayed from the factories after a reconnect
+const MAX_CATCHUP_BLOCKS = parseInt(process.env.DISCOVERY_MAX_CATCHUP_BLOCKS) || 2000;
+
+// Finds new tokens from pool creation events on every DEX of a chain. The side of a new
+// pool that is not a quote asset is the launched token: its ERC-20 metadata is read
+// on-chain, its deployer and creation block resolved, and a Token document inserted.
+// The tracker's change stream takes it from there.
+class TokenDiscovery {
+  constructor(chainId, providerManager) {
+    this.chain = getChain(chainId);
+    this.providerManager = providerManager;
+    this.quotes = quoteAssets.forChain(chainId);
+
+    this.queue = Promise.resolve();
+    this.pending = new Set();
+    this.lastBlock = null;
+    this.started = false;
+  }
+
+  get provider() {
+    return this.providerManager.getReadProvider();
+  }
+
+  start() {
+    if (this.started) {
+      return;
+    }
+    this.started = true;
+
+    for (const [dex, deployment] of Object.entries(this.chain.dexes)) {
+      const adapter = getAdapter(dex);
+      const listener = (...args) => {
+        const { log } = args[args.length - 1];
+        this.enqueue(adapter.decodePoolCreated(log.args), log);
+      };
+
+      this.providerManager.subscribe(`discovery:${dex}`, (provider) => {
+        const { contract, filter } = adapter.getPoolCreatedSubscription(provider, deployment);
+        contract.on(filter, listener);
+        return () => contract.off(filter, listener);
+      });
+    }
+
+    console.log(`Token discovery listening on ${Object.keys(this.chain.dexes).join(', ')} (${this.chain.id})`);
+  }
+
+  stop() {
+    for (const dex of Object.keys(this.chain.dexes)) {
+      this.providerManager.unsubscribe(`discovery:${dex}`);
+    }
+    this.started = false;
+  }
+
+  // Replay pool creations missed while the socket was down
+  async catchUp() {
+    if (this.lastBlock === null) {
+      return;
+    }
+
+    try {
+      const latest = await this.provider.getBlockNumber();
+      const fromBlock = Math.max(this.lastBlock + 1, latest - MAX_CATCHUP_BLOCKS);
+      if (fromBlock > latest) {
+        return;
+      }
+
+      for (const [dex, deployment] of Object.entries(this.chain.dexes)) {
+        const adapter = getAdapter(dex);
+        const { contract, filter } = adapter.getPoolCreatedSubscription(this.provider, deployment);
+        const logs = await contract.queryFilter(filter, fromBlock, latest);
+        for (const log of logs) {
+          this.enqueue(adapter.decodePoolCreated(log.args), log);
+        }
+      }
+    } catch (error) {
+      console.error(`Error replaying ${this.chain.id} pool creations:`, error);
+    }
+  }
+
+  isQuote(address) {
+    // V4 pools quote against native ETH as the zero address
+    return address === ethers.ZeroAddress || Boolean(this.quotes.getQuoteAsset(address));
+  }
+
+  // Launches are handled one at a time so a burst of new pools cannot flood the RPC
+  enqueue(pool, log) {
+    this.lastBlock = Math.max(this.lastBlock || 0, log.blockNumber);
+
+    // Only token/quote pools can be priced; quote/quote and token/token pools are skipped
+    const token0IsQuote = this.isQuote(pool.token0);
+    const token1IsQuote = this.isQuote(pool.token1);
+    if (token0IsQuote === token1IsQuote) {
+      return;
+    }
+
+    const tokenAddress = token0IsQuote ? pool.token1 : pool.token0;
+    if (this.pending.has(tokenAddress) || this.pending.size >= MAX_PENDING) {
+      return;
+    }
+
+    this.pending.add(tokenAddress);
+    this.queue = this.queue
+      .then(() => this.discoverToken(tokenAddress, pool, log))
+      .catch(error => console.error(`Error discovering ${this.chain.id} token ${tokenAddress}:`, error))
+      .finally(() => this.pending.delete(tokenAddress));
+  }
+
+  async discoverToken(tokenAddress, pool, log) {
+    const existing = await Token.exists({ chain: this.chain.id, contractAddress: tokenAddress });
+    if (existing) {
+      return null;
+    }
+
+    const metadata = (await getTokenMetadata(this.provider, [tokenAddress]))[tokenAddress];
+    if (!metadata.name || !metadata.symbol || metadata.decimals === null || metadata.totalSupply === null) {
+      console.log(`Skipping ${tokenAddress}: not a standard ERC-20`);
+      return null;
+    }
+
+    const creationBlock = await this.findCreationBlock(tokenAddress, log.blockNumber);
+    const [deployer, block] = await Promise.all([
+      this.findDeployer(tokenAddress, creationBlock, log),
+      this.provider.getBlock(creationBlock)
+    ]);
+
+    try {
+      const token = await Token.create({
+        chain: this.chain.id,
+        contractAddress: tokenAddress,
+        name: metadata.name,
+        symbol: metadata.symbol,
+        decimals: metadata.decimals,
+        total_supply: Number(metadata.totalSupply),
+        total_supply_raw: metadata.totalSupply.toString(),
+        deployer: deployer || ethers.ZeroAddress,
+        blockNumber: creationBlock,
+        createdAt: new Date(block.timestamp * 1000),
+        pool_address: pool.address,
+        pool_dex: pool.dex
+      });
+
+      console.log(`Discovered ${this.chain.id} token ${token.symbol} (${tokenAddress}) in ${pool.dex} pool ${pool.address}`);
+      return token;
+    } catch (error) {
+      // Another pool for the same token may have been handled first
+      if (error.code === 11000) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Falls back to the pool's block when the RPC cannot serve historical state
+  async findCreationBlock(tokenAddress, poolBlock) {
+    try {
+      return await TokenDiscovery.findCreationBlock(this.provider, tokenAddress, poolBlock);
+    } catch (error) {
+      console.warn(`Could not find creation block of ${tokenAddress}: ${error.message}`);
+      return poolBlock;
+    }
+  }
+
+  // First block at which a contract has code, given a block where it already exists:
+  // gallop back from there, then bisect. Needs an RPC that serves historical state.
+  static async findCreationBlock(provider, tokenAddress, knownBlock) {
+    const hasCode = async (blockNumber) => (await provider.getCode(tokenAddress, blockNumber)) !== '0x';
+
+    // Most launches create the token and its pool in the same block
+    if (knownBlock === 0 || !(await hasCode(knownBlock - 1))) {
+      return knownBlock;
+    }
+
+    let high = knownBlock - 1;
+    let low;
+    for (let step = 1; ; step *= 2) {
+      low = Math.max(0, high - step);
+      if (!(await hasCode(low))) break;
+      high = low;
+      if (low === 0) return 0;
+    }
+
+    // low has no code, high has code
+    while (high - low > 1) {
+      const middle = Math.floor((low + high) / 2);
+      if (await hasCode(middle)) {
+        high = middle;
+      } else {
+        low = middle;
+      }
+    }
+    return high;
+  }
+
+  // Sender of the transaction that created the token. Tokens deployed by a factory are
+  // found through the first log they emitted (usually the initial mint) in their creation
+  // block; direct deployments through the receipt's contractAddress.
+  async findDeployer(tokenAddress, creationBlock, poolLog) {
+    try {
+      const [firstLog] = await this.provider.getLogs({
+        address: tokenAddress,
+        fromBlock: creationBlock,
+        toBlock: creationBlock
+      });
+      if (firstLog) {
+        const transaction = await this.provider.getTransaction(firstLog.transactionHash);
+        return transaction.from.toLowerCase();
+      }
+
+      const block = await this.provider.getBlock(creationBlock, true);
+      for (const transaction of block.prefetchedTransactions) {
+        if (transaction.to !== null) continue;
+        const receipt = await this.provider.getTransactionReceipt(transaction.hash);
+        if (receipt?.contractAddress?.toLowerCase() === tokenAddress) {
+          return transaction.from.toLowerCase();
+        }
+      }
+
+      // Created and pooled in one transaction without emitting anything: the pool creator deployed it
+      if (creationBlock === poolLog.blockNumber) {
+        const transaction = await this.provider.getTransaction(poolLog.transactionHash);
+        return transaction.from.toLowerCase();
+      }
+    } catch (error) {
+      console.warn(`Could not resolve deployer of ${tokenAddress}: ${error.message}`);
+    }
+
+    console.warn(`Deployer of ${tokenAddress} unknown; stored as the zero address`);
+    return null;
+  }
+}
+
+module.exports = TokenDiscovery;
@@ -0,0 +1,60 @@
+// services/tokenEvents.js
+const { EventEmitter } = require('events');
+const { DEFAULT_CHAIN } = require('./chains');
+
+// In-process bus for token changes made by the tracker and the batch processor.
+// Consumers (Socket.IO, ...) listen here instead of being wired into each writer.
+const tokenEvents = new EventEmitter();
+tokenEvents.setMaxListeners(50);
+
+// Publish a price / market-cap / volume change for a token document or plain object
+function publishTokenUpdate(token, source) {
+  if (!token || !token.contractAddress) {
+    return;
+  }
+
+  tokenEvents.emit('tokenUpdated', {
+    chain: token.chain || DEFAULT_CHAIN,
+    contractAddress: token.contractAddress.toLowerCase(),
+    symbol: token.symbol,
+    price_usd: token.price_usd,
+    market_cap_usd: token.market_cap_usd,
+    market_cap_usd_twap: token.market_cap_usd_twap,
+    volume_usd_24h: token.volume_usd_24h,
+    liquidity_usd: token.liquidity_usd,
+    last_updated: token.last_updated || new Date(),
+    source
+  });
+}
+
+// Publish a swap the tracker just stored from a live Swap event
+function publishTrade(token, trade) {
+  tokenEvents.emit('tradeRecorded', {
+    chain: token.chain || DEFAULT_CHAIN,
+    contractAddress: token.contractAddress.toLowerCase(),
+    symbol: token.symbol,
+    side: trade.side,
+    priceUsd: trade.priceUsd,
+    volumeUsd: trade.volumeUsd,
+    trader: trade.swap.trader || null,
+    transactionHash: trade.transactionHash,
+    blockNumber: trade.blockNumber,
+    timestamp: trade.timestamp
+  });
+}
+
+// Publish a token that was newly inserted into the tokens collection
+function publishTokenCreated(token) {
+  if (!token || !token.contractAddress) {
+    return;
+  }
+
+  tokenEvents.emit('tokenCreated', token);
+}
+
+module.exports = {
+  tokenEvents,
+  publishTokenUpdate,
+  publishTrade,
+  publishTokenCreated
+};
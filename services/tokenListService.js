@@ -0,0 +1,141 @@
+// services/tokenListService.js
+const mongoose = require('mongoose');
+const Token = require('../models/Token');
+
+const DEFAULT_PAGE_SIZE = 15;
+const MAX_PAGE_SIZE = 100;
+
+// Sort keys of the token list and the field each orders by. Age runs opposite to
+// creation time: the youngest token has the smallest age.
+const SORT_FIELDS = {
+  marketCap: { field: 'market_cap_usd_twap' },
+  volume: { field: 'volume_usd_24h' },
+  price: { field: 'price_usd' },
+  liquidity: { field: 'liquidity_usd' },
+  priceChange: { field: 'price_change_24h' },
+  priceChange5m: { field: 'price_change_5m' },
+  priceChange1h: { field: 'price_change_1h' },
+  priceChange6h: { field: 'price_change_6h' },
+  priceChange24h: { field: 'price_change_24h' },
+  priceChange7d: { field: 'price_change_7d' },
+  lastTrade: { field: 'last_trade_at', isDate: true },
+  age: { field: 'createdAt', isDate: true, inverted: true }
+};
+
+// min<Name> / max<Name> query parameters and the field they bound
+const RANGE_FILTERS = {
+  Price: 'price_usd',
+  MarketCap: 'market_cap_usd_twap',
+  Volume: 'volume_usd_24h',
+  Liquidity: 'liquidity_usd'
+};
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Cursors are the last row's sort value and _id, so pages stay stable while prices move
+function encodeCursor(token, sort) {
+  const value = token[sort.field];
+  const payload = [value instanceof Date ? value.toISOString() : value, String(token._id)];
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+// Null when the cursor is malformed
+function decodeCursor(cursor, sort) {
+  try {
+    const [value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (value === null || value === undefined || !/^[0-9a-f]{24}$/.test(id)) {
+      return null;
+    }
+    const decoded = sort.isDate ? new Date(value) : value;
+    if (sort.isDate ? isNaN(decoded.getTime()) : typeof decoded !== 'number') {
+      return null;
+    }
+    return { value: decoded, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Database conditions for the list filters. Every bound is optional.
+function buildConditions(filters) {
+  const conditions = [{ price_usd: { $gt: 0 } }];
+
+  if (filters.search) {
+    const pattern = new RegExp(escapeRegex(filters.search), 'i');
+    conditions.push({ $or: [{ name: pattern }, { symbol: pattern }] });
+  }
+
+  for (const [name, field] of Object.entries(RANGE_FILTERS)) {
+    const min = filters[`min${name}`];
+    const max = filters[`max${name}`];
+    if (min !== null && min !== undefined) conditions.push({ [field]: { $gte: min } });
+    if (max !== null && max !== undefined) conditions.push({ [field]: { $lte: max } });
+  }
+
+  if (filters.createdAfter) conditions.push({ createdAt: { $gte: filters.createdAfter } });
+  if (filters.createdBefore) conditions.push({ createdAt: { $lte: filters.createdBefore } });
+  if (filters.deployer) conditions.push({ deployer: filters.deployer.toLowerCase() });
+
+  return conditions;
+}
+
+// One page of tokens matching `match` (e.g. the chain filter) and the filters, ordered by
+// `sort` with _id as tie-breaker. A cursor continues after the row it was issued for;
+// without one, `page` selects an offset page.
+async function listTokens(match, filters, { sort = 'marketCap', direction = 'desc', limit, page = 1, cursor } = {}) {
+  const sortSpec = SORT_FIELDS[sort];
+  const pageSize = Math.min(Math.max(limit || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const pageNumber = Math.max(page, 1);
+  const order = (direction === 'asc') !== Boolean(sortSpec.inverted) ? 1 : -1;
+
+  // Rows without a value for the sort key cannot be placed by a cursor
+  const conditions = [match, ...buildConditions(filters), { [sortSpec.field]: { $ne: null } }];
+  const query = { $and: conditions };
+
+  let pageQuery = query;
+  if (cursor) {
+    const operator = order === 1 ? '$gt' : '$lt';
+    pageQuery = {
+      $and: [...conditions, {
+        $or: [
+          { [sortSpec.field]: { [operator]: cursor.value } },
+          { [sortSpec.field]: cursor.value, _id: { [operator]: cursor.id } }
+        ]
+      }]
+    };
+  }
+
+  // One extra row tells whether another page exists
+  const [tokens, totalTokens] = await Promise.all([
+    Token.find(pageQuery)
+      .sort({ [sortSpec.field]: order, _id: order })
+      .skip(cursor ? 0 : (pageNumber - 1) * pageSize)
+      .limit(pageSize + 1)
+      .lean(),
+    Token.countDocuments(query)
+  ]);
+
+  const pageTokens = tokens.slice(0, pageSize);
+  const hasMore = tokens.length > pageSize;
+
+  return {
+    tokens: pageTokens,
+    totalTokens,
+    currentPage: cursor ? null : pageNumber,
+    totalPages: Math.ceil(totalTokens / pageSize),
+    pageSize,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(pageTokens[pageTokens.length - 1], sortSpec) : null
+  };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  SORT_FIELDS,
+  RANGE_FILTERS,
+  decodeCursor,
+  listTokens
+};
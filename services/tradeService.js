@@ -0,0 +1,51 @@
+// services/tradeService.js
+const Swap = require('../models/Swap');
+
+const MAX_PAGE_SIZE = 100;
+
+// Latest trades for a token, newest first, optionally filtered by size and wallet
+async function getTrades(chain, tokenAddress, { page = 1, limit = 50, minUsd, wallet } = {}) {
+  const pageSize = Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+  const pageNumber = Math.max(page, 1);
+  const query = { chain, tokenAddress: tokenAddress.toLowerCase() };
+
+  if (minUsd > 0) {
+    query.volume_usd = { $gte: minUsd };
+  }
+  if (wallet) {
+    query.trader = wallet.toLowerCase();
+  }
+
+  // One extra row tells whether another page exists without counting the collection
+  const swaps = await Swap.find(query)
+    .sort({ blockNumber: -1, logIndex: -1 })
+    .skip((pageNumber - 1) * pageSize)
+    .limit(pageSize + 1)
+    .lean();
+
+  const trades = swaps.slice(0, pageSize).map(swap => ({
+    transactionHash: swap.transactionHash,
+    logIndex: swap.logIndex,
+    blockNumber: swap.blockNumber,
+    timestamp: swap.timestamp,
+    side: swap.side,
+    tokenAmount: swap.token_amount,
+    valueUsd: swap.volume_usd,
+    priceUsd: swap.price_usd,
+    trader: swap.trader,
+    dex: swap.dex,
+    poolAddress: swap.poolAddress
+  }));
+
+  return {
+    trades,
+    page: pageNumber,
+    pageSize,
+    hasMore: swaps.length > pageSize
+  };
+}
+
+module.exports = {
+  MAX_PAGE_SIZE,
+  getTrades
+};
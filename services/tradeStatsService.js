@@ -0,0 +1,123 @@
+// services/tradeStatsService.js
+const Swap = require('../models/Swap');
+const Token = require('../models/Token');
+const { publishTokenUpdate } = require('./tokenEvents');
+
+// Rolling windows kept on each Token, in milliseconds
+const WINDOWS = {
+  '1h': 60 * 60 * 1000,
+  '6h': 6 * 60 * 60 * 1000,
+  '24h': 24 * 60 * 60 * 1000
+};
+
+// Swaps arrive in bursts; recompute a token's stats at most once per delay
+const UPDATE_DELAY = 10 * 1000;
+const pendingUpdates = new Map();
+
+// Rolling USD volume and buy/sell counts from the stored swaps
+async function computeTradeStats(chain, tokenAddress, now = new Date()) {
+  const windowFields = {};
+  for (const [label, size] of Object.entries(WINDOWS)) {
+    const inWindow = { $gte: ['$timestamp', new Date(now.getTime() - size)] };
+    windowFields[`volume_${label}`] = { $sum: { $cond: [inWindow, '$volume_usd', 0] } };
+    windowFields[`buys_${label}`] = { $sum: { $cond: [{ $and: [inWindow, { $eq: ['$side', 'buy'] }] }, 1, 0] } };
+    windowFields[`sells_${label}`] = { $sum: { $cond: [{ $and: [inWindow, { $eq: ['$side', 'sell'] }] }, 1, 0] } };
+  }
+
+  const [result = {}] = await Swap.aggregate([
+    {
+      $match: {
+        chain,
+        tokenAddress: tokenAddress.toLowerCase(),
+        timestamp: { $gte: new Date(now.getTime() - WINDOWS['24h']) }
+      }
+    },
+    { $group: { _id: null, ...windowFields } }
+  ]);
+
+  const stats = {};
+  for (const label of Object.keys(WINDOWS)) {
+    stats[`volume_${label}`] = result[`volume_${label}`] || 0;
+    stats[`buys_${label}`] = result[`buys_${label}`] || 0;
+    stats[`sells_${label}`] = result[`sells_${label}`] || 0;
+  }
+  return stats;
+}
+
+async function updateTradeStats(chain, tokenAddress) {
+  const address = tokenAddress.toLowerCase();
+
+  try {
+    const stats = await computeTradeStats(chain, address);
+    const update = {
+      volume_usd_1h: stats.volume_1h,
+      volume_usd_6h: stats.volume_6h,
+      volume_usd_24h_onchain: stats.volume_24h,
+      buys_1h: stats.buys_1h,
+      sells_1h: stats.sells_1h,
+      buys_6h: stats.buys_6h,
+      sells_6h: stats.sells_6h,
+      buys_24h: stats.buys_24h,
+      sells_24h: stats.sells_24h,
+      trade_stats_updated: new Date()
+    };
+
+    await Token.updateOne({ chain, contractAddress: address }, { $set: update });
+
+    // Tokens no market data provider covers take their 24h volume from the chain
+    await Token.updateOne(
+      { chain, contractAddress: address, volume_source: { $in: ['onchain', null] } },
+      { $set: { volume_usd_24h: stats.volume_24h, volume_source: 'onchain' } }
+    );
+
+    const token = await Token.findOne({ chain, contractAddress: address });
+    publishTokenUpdate(token, 'tracker');
+  } catch (error) {
+    console.error(`Error updating trade stats for ${chain}:${address}:`, error);
+  }
+}
+
+function scheduleUpdate(chain, tokenAddress) {
+  const address = tokenAddress.toLowerCase();
+  const key = `${chain}:${address}`;
+  if (pendingUpdates.has(key)) {
+    return;
+  }
+
+  const run = () => {
+    pendingUpdates.delete(key);
+    return updateTradeStats(chain, address);
+  };
+  pendingUpdates.set(key, { timer: setTimeout(run, UPDATE_DELAY), run });
+}
+
+// Run every scheduled update now instead of after its delay (replays flush between blocks)
+async function flushUpdates() {
+  for (const { timer, run } of [...pendingUpdates.values()]) {
+    clearTimeout(timer);
+    await run();
+  }
+}
+
+// Recompute every token that traded recently so windows also decay when trading stops
+async function refreshActiveTokens(chain) {
+  try {
+    const since = new Date(Date.now() - WINDOWS['24h'] - 60 * 60 * 1000);
+    const addresses = await Swap.distinct('tokenAddress', { chain, timestamp: { $gte: since } });
+
+    for (const address of addresses) {
+      await updateTradeStats(chain, address);
+    }
+  } catch (error) {
+    console.error(`Error refreshing ${chain} trade stats:`, error);
+  }
+}
+
+module.exports = {
+  WINDOWS,
+  computeTradeStats,
+  updateTradeStats,
+  scheduleUpdate,
+  flushUpdates,
+  refreshActiveTokens
+};
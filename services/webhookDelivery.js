@@ -0,0 +1,236 @@
+// services/webhookDelivery.js
+// Signed webhook POSTs with retries. Every delivery is a logged AlertDelivery document, so
+// pending retries survive a restart and are picked up by the sweep.
+const axios = require('axios');
+const crypto = require('crypto');
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+const AlertDelivery = require('../models/AlertDelivery');
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+const BASE_BACKOFF_MS = 10 * 1000;
+const MAX_BACKOFF_MS = 30 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const SWEEP_INTERVAL = 15 * 1000;
+
+// A delivery being attempted is leased: its next_attempt_at is pushed past the request
+// timeout, so the retry sweep (in this or another process) cannot send it a second time
+const CLAIM_MS = REQUEST_TIMEOUT_MS + 50 * 1000;
+
+// Webhooks only go to public addresses: not loopback, private, link-local (cloud metadata),
+// shared, multicast or reserved ranges. IPv4-mapped IPv6 addresses match the IPv4 rules.
+const BLOCKED_RANGES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  BLOCKED_RANGES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  BLOCKED_RANGES.addSubnet(network, prefix, 'ipv6');
+}
+
+const BLOCKED_TARGET = 'webhook_url must not point to a private, loopback or link-local address';
+
+let sweepTimer = null;
+let sweeping = false;
+
+// Receivers recompute HMAC-SHA256(secret, "<timestamp>.<body>") and compare it to the
+// X-Alert-Signature header; the timestamp lets them reject replays
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  return family === 0 || BLOCKED_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Null when the URL is an https URL whose host is not a blocked IP literal, else the reason
+function webhookUrlError(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return 'Invalid webhook_url';
+  }
+  if (url.protocol !== 'https:') {
+    return 'webhook_url must be an https URL';
+  }
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isBlockedAddress(host)) {
+    return BLOCKED_TARGET;
+  }
+  return null;
+}
+
+// webhookUrlError, plus the host's current DNS answers, for validating alerts on save
+async function checkWebhookUrl(value) {
+  const error = webhookUrlError(value);
+  if (error) {
+    return error;
+  }
+  const host = new URL(value).hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host)) {
+    return null;
+  }
+  try {
+    const addresses = await dns.promises.lookup(host, { all: true });
+    return addresses.some(({ address }) => isBlockedAddress(address)) ? BLOCKED_TARGET : null;
+  } catch (lookupError) {
+    return `webhook_url host cannot be resolved: ${host}`;
+  }
+}
+
+// DNS lookup of the webhook agent. Checked when connecting, so a host that re-resolves to an
+// internal address after the alert was saved is refused at send time.
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) {
+      return callback(new Error(`Webhook host ${hostname} resolves to non-public address ${blocked.address}`));
+    }
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const webhookAgent = new https.Agent({ lookup: publicLookup });
+
+function backoff(attempts) {
+  return Math.min(BASE_BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+}
+
+// One attempt at a logged delivery; schedules the next attempt or gives up on failure
+async function attempt(delivery, secret) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const attempts = delivery.attempts + 1;
+
+  // Literal IPs never reach the lookup, and rows from before https was required may be http
+  const urlError = webhookUrlError(delivery.webhook_url);
+  if (urlError) {
+    await AlertDelivery.updateOne({ _id: delivery._id }, {
+      $set: { status: 'failed', attempts, last_error: urlError }
+    });
+    console.warn(`Webhook delivery ${delivery._id} refused: ${urlError}`);
+    return false;
+  }
+
+  try {
+    const response = await axios.post(delivery.webhook_url, body, {
+      timeout: REQUEST_TIMEOUT_MS,
+      httpsAgent: webhookAgent,
+      // An environment proxy would do its own DNS and bypass the address check
+      proxy: false,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Alert-Delivery': String(delivery._id),
+        'X-Alert-Timestamp': String(timestamp),
+        'X-Alert-Signature': `sha256=${sign(secret, timestamp, body)}`
+      },
+      // Redirects could carry the signed body somewhere else
+      maxRedirects: 0
+    });
+
+    await AlertDelivery.updateOne({ _id: delivery._id }, {
+      $set: {
+        status: 'delivered',
+        attempts,
+        last_status_code: response.status,
+        last_error: null,
+        delivered_at: new Date()
+      }
+    });
+    return true;
+  } catch (error) {
+    const failed = attempts >= MAX_ATTEMPTS;
+    await AlertDelivery.updateOne({ _id: delivery._id }, {
+      $set: {
+        status: failed ? 'failed' : 'pending',
+        attempts,
+        last_status_code: error.response?.status ?? null,
+        last_error: error.message,
+        next_attempt_at: new Date(Date.now() + backoff(attempts))
+      }
+    });
+    console.warn(`Webhook delivery ${delivery._id} failed (attempt ${attempts}/${MAX_ATTEMPTS}): ${error.message}`);
+    return false;
+  }
+}
+
+// Log a delivery and make the first attempt right away. The row starts out claimed.
+async function deliver(alert, payload) {
+  const delivery = await AlertDelivery.create({
+    alert: alert._id,
+    webhook_url: alert.webhook_url,
+    payload,
+    next_attempt_at: new Date(Date.now() + CLAIM_MS)
+  });
+  await attempt(delivery, alert.secret);
+  return delivery;
+}
+
+// Retry deliveries whose backoff has passed. Deliveries of deleted alerts are dropped.
+async function retryPending() {
+  if (sweeping) {
+    return;
+  }
+  sweeping = true;
+
+  try {
+    const due = await AlertDelivery.find({ status: 'pending', next_attempt_at: { $lte: new Date() } })
+      .sort({ next_attempt_at: 1 })
+      .limit(50)
+      .populate('alert', 'secret');
+
+    for (const delivery of due) {
+      if (!delivery.alert) {
+        await AlertDelivery.updateOne({ _id: delivery._id }, { $set: { status: 'failed', last_error: 'Alert deleted' } });
+        continue;
+      }
+
+      // Claim the row unless another sweep got to it since it was read
+      const claimed = await AlertDelivery.updateOne(
+        { _id: delivery._id, status: 'pending', next_attempt_at: delivery.next_attempt_at },
+        { $set: { next_attempt_at: new Date(Date.now() + CLAIM_MS) } }
+      );
+      if (claimed.modifiedCount === 0) {
+        continue;
+      }
+      await attempt(delivery, delivery.alert.secret);
+    }
+  } catch (error) {
+    console.error('Error retrying webhook deliveries:', error);
+  } finally {
+    sweeping = false;
+  }
+}
+
+function startRetries() {
+  if (!sweepTimer) {
+    sweepTimer = setInterval(retryPending, SWEEP_INTERVAL);
+  }
+}
+
+function stopRetries() {
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  sign,
+  webhookUrlError,
+  checkWebhookUrl,
+  deliver,
+  retryPending,
+  startRetries,
+  stopRetries
+};
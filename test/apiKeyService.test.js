@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const ApiKeyUsage = require('../models/ApiKeyUsage');
+const { UsageTracker } = require('../services/apiKeyService');
+
+const LIMITS = { requestsPerMinute: 10, dailyQuota: 100 };
+const NOW = Date.UTC(2025, 5, 1, 12, 0, 0);
+
+// findOne(...).lean() resolving to each of `results` in turn; Error results reject
+function mockUsageReads(t, results) {
+  let calls = 0;
+  t.mock.method(ApiKeyUsage, 'findOne', () => ({
+    lean: async () => {
+      const result = results[calls++];
+      if (result instanceof Error) throw result;
+      return result;
+    }
+  }));
+  return () => calls;
+}
+
+test('a failed usage load is retried on the next request', async (t) => {
+  const calls = mockUsageReads(t, [new Error('connection reset'), { requests: 40 }]);
+  const tracker = new UsageTracker();
+  t.after(() => clearInterval(tracker.flushTimer));
+
+  await assert.rejects(tracker.consume('key:1', 'key-id', LIMITS, NOW), /connection reset/);
+
+  const result = await tracker.consume('key:1', 'key-id', LIMITS, NOW + 1000);
+  assert.equal(calls(), 2);
+  assert.equal(result.allowed, true);
+  assert.equal(result.quotaRemaining, 100 - 41);
+});
+
+test('a loaded usage count is read once per day', async (t) => {
+  const calls = mockUsageReads(t, [{ requests: 99 }]);
+  const tracker = new UsageTracker();
+  t.after(() => clearInterval(tracker.flushTimer));
+
+  assert.equal((await tracker.consume('key:1', 'key-id', LIMITS, NOW)).allowed, true);
+  const second = await tracker.consume('key:1', 'key-id', LIMITS, NOW + 1000);
+  assert.equal(second.allowed, false);
+  assert.equal(second.reason, 'Daily quota exceeded');
+  assert.equal(calls(), 1);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { SCALE } = require('../services/fixedPoint');
+const { getTokenPriceInQuote, getSwapPriceInQuote } = require('../services/dexAdapters');
+
+const Q96 = 2n ** 96n;
+const TOKEN = '0x1111111111111111111111111111111111111111';
+const QUOTE = '0x9999999999999999999999999999999999999999';
+
+// A pool of TOKEN against QUOTE, with TOKEN as token0 or as token1
+function pool(tokenIsToken0, fields = {}) {
+  return {
+    dex: 'uniswap-v3',
+    tokenAddress: TOKEN,
+    token0: tokenIsToken0 ? TOKEN : QUOTE,
+    token1: tokenIsToken0 ? QUOTE : TOKEN,
+    ...fields
+  };
+}
+
+test('getTokenPriceInQuote from sqrtPriceX96 with the token as token0', () => {
+  // 8-decimal token at 2500 of a 6-decimal quote: 25 raw quote per raw token
+  assert.equal(getTokenPriceInQuote(pool(true), { sqrtPriceX96: 5n * Q96 }, 8, 6), 2500n * SCALE);
+  // 6-decimal token at 0.0004 of an 18-decimal quote: 4e8 raw quote per raw token
+  assert.equal(getTokenPriceInQuote(pool(true), { sqrtPriceX96: 20000n * Q96 }, 6, 18), 4n * 10n ** 32n);
+});
+
+test('getTokenPriceInQuote from sqrtPriceX96 with the token as token1', () => {
+  // 8-decimal token at 400 of a 6-decimal quote: 1/4 raw token per raw quote
+  assert.equal(getTokenPriceInQuote(pool(false), { sqrtPriceX96: Q96 / 2n }, 8, 6), 400n * SCALE);
+  // 24-decimal token at 250000 of an 18-decimal quote: 4 raw token per raw quote
+  assert.equal(getTokenPriceInQuote(pool(false), { sqrtPriceX96: 2n * Q96 }, 24, 18), 250000n * SCALE);
+});
+
+test('getTokenPriceInQuote from reserves in both orderings', () => {
+  // 5 million 24-decimal tokens against 10 WETH: 2e-6 WETH per token
+  const tokenReserve = 5n * 10n ** 30n;
+  const quoteReserve = 10n * 10n ** 18n;
+  const expected = 2n * 10n ** 30n;
+
+  const v2 = { dex: 'uniswap-v2' };
+  assert.equal(getTokenPriceInQuote(pool(true, v2), { reserve0: tokenReserve, reserve1: quoteReserve }, 24, 18), expected);
+  assert.equal(getTokenPriceInQuote(pool(false, v2), { reserve0: quoteReserve, reserve1: tokenReserve }, 24, 18), expected);
+  assert.equal(getTokenPriceInQuote(pool(true, v2), { reserve0: 0n, reserve1: quoteReserve }, 24, 18), 0n);
+});
+
+test('getTokenPriceInQuote uses the stable curve for stable pools', () => {
+  const stable = { dex: 'aerodrome', stable: true };
+  // Balanced 6-decimal token and 18-decimal quote reserves trade at par either way round
+  assert.equal(getTokenPriceInQuote(pool(true, stable), { reserve0: 10n ** 12n, reserve1: 10n ** 24n }, 6, 18), SCALE);
+  assert.equal(getTokenPriceInQuote(pool(false, stable), { reserve0: 10n ** 24n, reserve1: 10n ** 12n }, 6, 18), SCALE);
+});
+
+test('getSwapPriceInQuote falls back to the execution price without sqrtPriceX96', () => {
+  // Bought 2 8-decimal tokens for 5000 of a 6-decimal quote
+  const swap = { amount0: -2n * 10n ** 8n, amount1: 5000n * 10n ** 6n };
+  assert.equal(getSwapPriceInQuote(pool(true, { dex: 'uniswap-v2' }), swap, 8, 6), 2500n * SCALE);
+  const reversed = { amount0: 5000n * 10n ** 6n, amount1: -2n * 10n ** 8n };
+  assert.equal(getSwapPriceInQuote(pool(false, { dex: 'uniswap-v2' }), reversed, 8, 6), 2500n * SCALE);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const fixedPoint = require('../services/fixedPoint');
+
+const { SCALE } = fixedPoint;
+const Q96 = 2n ** 96n;
+
+// Floor square root, to build sqrtPriceX96 values for prices that are not perfect squares
+function sqrt(value) {
+  if (value < 2n) return value;
+  let x = value;
+  let y = (x + 1n) / 2n;
+  while (y < x) {
+    x = y;
+    y = (x + value / x) / 2n;
+  }
+  return x;
+}
+
+function assertClose(actual, expected, relative = 1e-12) {
+  assert.ok(Math.abs(actual - expected) <= Math.abs(expected) * relative, `${actual} is not close to ${expected}`);
+}
+
+test('parseDecimal reads plain and exponent forms exactly', () => {
+  assert.equal(fixedPoint.parseDecimal('1.5E+27'), 15n * 10n ** 26n);
+  assert.equal(fixedPoint.parseDecimal('123456789012345678901234567890'), 123456789012345678901234567890n);
+  assert.equal(fixedPoint.parseDecimal('1.23', 2), 123n);
+  assert.equal(fixedPoint.parseDecimal('0.129', 2), 12n);
+  assert.equal(fixedPoint.fromNumber(1.5e-7), 15n * 10n ** 28n);
+  assert.equal(fixedPoint.fromNumber(NaN), 0n);
+});
+
+test('priceFromSqrtPriceX96 adjusts for both tokens\' decimals', () => {
+  assert.equal(fixedPoint.priceFromSqrtPriceX96(Q96, 18, 18), SCALE);
+  // 9 raw token1 per raw token0; a 6-decimal token0 against an 18-decimal token1
+  assert.equal(fixedPoint.priceFromSqrtPriceX96(3n * Q96, 6, 18), 9n * 10n ** 24n);
+  // A 24-decimal token0 against a 6-decimal token1
+  assert.equal(fixedPoint.priceFromSqrtPriceX96(Q96, 24, 6), 10n ** 18n * SCALE);
+  // An 8-decimal token0 against a 6-decimal token1
+  assert.equal(fixedPoint.priceFromSqrtPriceX96(5n * Q96, 8, 6), 2500n * SCALE);
+});
+
+test('priceFromSqrtPriceX96 prices WETH/USDC at a realistic pool price', () => {
+  // 2000 USDC (6 decimals) per WETH (18 decimals)
+  const sqrtPriceX96 = sqrt((2000n * 10n ** 6n * Q96 * Q96) / 10n ** 18n);
+  assertClose(fixedPoint.toNumber(fixedPoint.priceFromSqrtPriceX96(sqrtPriceX96, 18, 6)), 2000);
+});
+
+test('priceFromAmounts uses absolute amounts and guards a zero token0 amount', () => {
+  assert.equal(fixedPoint.priceFromAmounts(10n ** 8n, 30000n * 10n ** 6n, 8, 6), 30000n * SCALE);
+  assert.equal(fixedPoint.priceFromAmounts(-(10n ** 8n), 30000n * 10n ** 6n, 8, 6), 30000n * SCALE);
+  assert.equal(fixedPoint.priceFromAmounts(0n, 1n, 18, 18), 0n);
+});
+
+test('stablePriceFromReserves normalizes reserves to 18 decimals', () => {
+  // Balanced reserves of a 6-decimal and an 18-decimal stablecoin trade at par
+  assert.equal(fixedPoint.stablePriceFromReserves(10n ** 12n, 10n ** 24n, 6, 18), SCALE);
+  // x = 1, y = 2: (3x^2y + y^3) / (x^3 + 3xy^2) = 14 / 13
+  assert.equal(fixedPoint.stablePriceFromReserves(10n ** 6n, 2n * 10n ** 24n, 6, 24), (14n * SCALE) / 13n);
+  assert.equal(fixedPoint.stablePriceFromReserves(0n, 0n, 18, 18), 0n);
+});
+
+test('valueUsd is exact for raw supplies above 2^53', () => {
+  const supply = 123456789012345678901234567890n;
+  assert.ok(supply > BigInt(Number.MAX_SAFE_INTEGER));
+  assert.equal(fixedPoint.valueUsd(2, supply, 24), 246913.57802469135);
+  // One billion 18-decimal tokens at a tenth of a cent
+  assert.equal(fixedPoint.valueUsd(0.001, 10n ** 27n, 18), 1000000);
+  // Eight decimals, one unit over 2^53 whole units
+  assert.equal(fixedPoint.valueUsd(1, (2n ** 53n + 1n) * 10n ** 8n, 8), 2 ** 53);
+  assert.equal(fixedPoint.valueUsd(1, '1000000', 6), 1);
+});
+
+test('invert, mul and percentage', () => {
+  assert.equal(fixedPoint.invert(2n * SCALE), SCALE / 2n);
+  assert.equal(fixedPoint.invert(0n), 0n);
+  assert.equal(fixedPoint.mul(3n * SCALE, SCALE / 4n), (3n * SCALE) / 4n);
+  assert.equal(fixedPoint.percentage(1n, 3n), 33.3333);
+  assert.equal(fixedPoint.percentage(1n, 0n), null);
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+
+const Holder = require('../models/Holder');
+const { HolderIndexer, TRANSFER_TOPIC, formatBalance, parseBalance } = require('../services/holderIndexer');
+
+const TOKEN = '0x1111111111111111111111111111111111111111';
+const ALICE = '0x000000000000000000000000000000000000a11c';
+const BOB = '0x0000000000000000000000000000000000000b0b';
+
+function transfer(from, to, value, blockNumber) {
+  return {
+    topics: [TRANSFER_TOPIC, ethers.zeroPadValue(from, 32), ethers.zeroPadValue(to, 32)],
+    data: ethers.toBeHex(value, 32),
+    blockNumber
+  };
+}
+
+test('stored balances are exact and sort as numbers', () => {
+  const large = 10n ** 39n + 7n;
+  assert.equal(parseBalance(formatBalance(large)), large);
+  assert.equal(parseBalance(formatBalance(2n ** 256n - 1n)), 2n ** 256n - 1n);
+  assert.ok(formatBalance(10n ** 20n) > formatBalance(9n * 10n ** 19n));
+});
+
+test('applyTransfers adds amounts beyond 34 digits exactly and drops emptied holders', async (t) => {
+  // Decimal128 keeps 34 significant digits; these raw amounts have 37 to 39
+  const minted = 10n ** 36n + 1n;
+  t.mock.method(Holder, 'find', () => ({
+    select() { return this; },
+    session() { return this; },
+    lean: async () => [{ address: ALICE, balance: formatBalance(minted) }]
+  }));
+  const bulkWrite = t.mock.method(Holder, 'bulkWrite', async () => ({}));
+
+  const sent = 10n ** 38n;
+  const applied = await new HolderIndexer(null).applyTransfers('base', TOKEN, [
+    transfer(ethers.ZeroAddress, BOB, sent + 3n, 10),
+    transfer(BOB, ALICE, 3n, 11),
+    transfer(ALICE, BOB, minted + 3n, 12)
+  ]);
+
+  assert.equal(applied, 3);
+  const [operations] = bulkWrite.mock.calls[0].arguments;
+  assert.deepEqual(operations, [
+    {
+      updateOne: {
+        filter: { chain: 'base', tokenAddress: TOKEN, address: BOB },
+        update: { $set: { balance: formatBalance(sent + minted + 3n) }, $max: { last_block: 12 } },
+        upsert: true
+      }
+    },
+    { deleteOne: { filter: { chain: 'base', tokenAddress: TOKEN, address: ALICE } } }
+  ]);
+});
@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ProviderManager } = require('../services/providerManager');
+
+test('stop() cancels a pending reconnect', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'setInterval'] });
+  const manager = new ProviderManager('base');
+  const connect = t.mock.method(manager, 'connect', async () => true);
+
+  manager.started = true;
+  manager.scheduleReconnect();
+  await manager.stop();
+  t.mock.timers.tick(manager.maxBackoff);
+
+  assert.equal(connect.mock.callCount(), 0);
+  assert.equal(manager.reconnecting, false);
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const mongoose = require('mongoose');
+
+const Token = require('../models/Token');
+const Candle = require('../models/Candle');
+const { replay } = require('../services/replayService');
+
+// Replays need a throwaway MongoDB running as a replica set (swaps are stored in transactions).
+// The database is dropped first, so it must never be the live one.
+const REPLAY_URI = process.env.REPLAY_MONGODB_URI || 'mongodb://127.0.0.1:27017/token-tracker-replay';
+
+// Blocks 25000001-25000011 of a synthetic Base chain served by a scripted test node, recorded
+// with `npm run replay -- record`:
+// - WETH/USDC (Uniswap V3) starts at 2000 USDC and moves to 2100 in block 25000005
+// - ALPHA (18 decimals, 10^9 supply) trades against WETH on Uniswap V3 at 1.1e-6, 1.05e-6
+//   and 1.2e-6 WETH in blocks 25000002-3, then 1e-6 in block 25000011
+// - BETA (6 decimals, 2 * 10^6 supply) trades against USDC on a Uniswap V2 pair from
+//   50000/100000 reserves: buys 1000 for 505 USDC in block 25000006, sells 2000 for 1000 in 25000011
+// Blocks are 2s apart from 1750000000 (block 25000000), so the last block opens a new minute.
+const RECORDING = path.join(__dirname, 'fixtures', 'replay-base.json');
+const ALPHA = '0x1000000000000000000000000000000000000001';
+const BETA = '0x9000000000000000000000000000000000000002';
+const FIRST_MINUTE = new Date(1749999960 * 1000);
+const SECOND_MINUTE = new Date(1750000020 * 1000);
+
+function assertClose(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) <= Math.abs(expected) * 1e-9, `${message}: ${actual} is not close to ${expected}`);
+}
+
+function assertCandle(candle, expected, label) {
+  assert.ok(candle, `${label} candle is missing`);
+  for (const field of ['open', 'high', 'low', 'close', 'volume_usd']) {
+    assertClose(candle[field], expected[field], `${label} ${field}`);
+  }
+  assert.equal(candle.trades, expected.trades, `${label} trades`);
+}
+
+// Null when there is no replica set to replay into, so the test is skipped instead
+async function connect() {
+  if (REPLAY_URI === process.env.MONGODB_URI) {
+    throw new Error('REPLAY_MONGODB_URI must not be the same database as MONGODB_URI');
+  }
+  try {
+    await mongoose.connect(REPLAY_URI, { serverSelectionTimeoutMS: 2000 });
+  } catch (error) {
+    return `no MongoDB at ${REPLAY_URI}`;
+  }
+  const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+  if (!hello.setName) {
+    await mongoose.disconnect();
+    return `MongoDB at ${REPLAY_URI} is not a replica set`;
+  }
+  return null;
+}
+
+test('replaying the recorded chain reproduces prices and candles', async (t) => {
+  const skipReason = await connect();
+  if (skipReason) {
+    t.skip(skipReason);
+    return;
+  }
+
+  try {
+    await mongoose.connection.dropDatabase();
+    await Promise.all([Token.init(), Candle.init()]);
+
+    const summary = await replay(RECORDING);
+    assert.equal(summary.missingResponses, 0);
+    assert.equal(summary.swaps, 7);
+    assert.equal(summary.storedSwaps, 6);
+
+    // Final prices come from the pool state at the last block
+    const alpha = await Token.findOne({ chain: 'base', contractAddress: ALPHA }).lean();
+    assertClose(alpha.price_usd, 1e-6 * 2100, 'ALPHA price');
+    assertClose(alpha.market_cap_usd, 1e9 * 1e-6 * 2100, 'ALPHA market cap');
+    assert.deepEqual(alpha.price_route, ['ALPHA', 'WETH', 'USDC']);
+    assertClose(alpha.volume_usd_total, (1.1 + 0.525 + 2.4) * 2000 + 3 * 2100, 'ALPHA lifetime volume');
+    assert.equal(alpha.last_trade, 25000011);
+
+    const beta = await Token.findOne({ chain: 'base', contractAddress: BETA }).lean();
+    assertClose(beta.price_usd, 49505 / 101000, 'BETA price');
+    assertClose(beta.market_cap_usd, 2e6 * 49505 / 101000, 'BETA market cap');
+    assert.deepEqual(beta.price_route, ['BETA', 'USDC']);
+
+    // Candles use each swap's own price: V3 from the post-swap sqrtPriceX96, V2 the execution price
+    const candles = await Candle.find({ chain: 'base', resolution: '1m' }).sort({ contractAddress: 1, time: 1 }).lean();
+    const candle = (address, time) => candles.find(c => c.contractAddress === address && c.time.getTime() === time.getTime());
+    assert.equal(candles.length, 4);
+
+    assertCandle(candle(ALPHA, FIRST_MINUTE), {
+      open: 1.1e-6 * 2000,
+      high: 1.2e-6 * 2000,
+      low: 1.05e-6 * 2000,
+      close: 1.2e-6 * 2000,
+      volume_usd: (1.1 + 0.525 + 2.4) * 2000,
+      trades: 3
+    }, 'ALPHA first minute');
+    assertCandle(candle(ALPHA, SECOND_MINUTE), {
+      open: 1e-6 * 2100,
+      high: 1e-6 * 2100,
+      low: 1e-6 * 2100,
+      close: 1e-6 * 2100,
+      volume_usd: 3 * 2100,
+      trades: 1
+    }, 'ALPHA second minute');
+    assertCandle(candle(BETA, FIRST_MINUTE), {
+      open: 0.505, high: 0.505, low: 0.505, close: 0.505, volume_usd: 505, trades: 1
+    }, 'BETA first minute');
+    assertCandle(candle(BETA, SECOND_MINUTE), {
+      open: 0.5, high: 0.5, low: 0.5, close: 0.5, volume_usd: 1000, trades: 1
+    }, 'BETA second minute');
+
+    // Replaying again into the same database stores nothing twice
+    const again = await replay(RECORDING);
+    assert.equal(again.storedSwaps, 6);
+    const [alphaAgain] = await Candle.find({ chain: 'base', contractAddress: ALPHA, resolution: '1m', time: FIRST_MINUTE }).lean();
+    assert.equal(alphaAgain.trades, 3);
+  } finally {
+    await mongoose.disconnect();
+  }
+});